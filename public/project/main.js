@@ -1,11 +1,21 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
 const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
 
 const app = express();
 const port = 3000;
 
+// Every request reaches the server through the BrowserPod portal, so req.ip is the address that one
+// proxy saw; anything a client put further left in X-Forwarded-For is ignored
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
@@ -14,8 +24,8 @@ app.use(express.static('public'));
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Respondent-Token, X-Invite-Code, X-Edit-Token');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -25,7 +35,51 @@ app.use((req, res, next) => {
 // In-memory data store
 const store = {
   surveys: {},
-  nextId: 1
+  nextId: 1,
+  // Grants access to the index of every survey in this pod
+  indexToken: null
+};
+
+// Open Server-Sent Events connections, keyed by survey ID
+const streamClients = {};
+
+// Recent accepted submission times per IP, keyed by survey ID then IP
+const submissionsByIp = {};
+
+// Signs the "already responded" cookies; cookies from an earlier pod are simply not recognised
+const cookieSecret = crypto.randomBytes(32);
+
+// Rejected submissions, by the policy that rejected them
+const EMPTY_BLOCKED_COUNTS = { duplicate: 0, rateLimited: 0, invalidInvite: 0 };
+
+// Version of the JSON snapshot format produced by /export/json
+const SNAPSHOT_VERSION = 1;
+
+// Who may see /results without an admin or share token:
+// everyone, everyone once the survey is closed, people who have responded, or nobody
+const RESULTS_VISIBILITY = ['public', 'public-after-close', 'respondents', 'admin'];
+
+const DEFAULT_SETTINGS = {
+  resultsVisibility: 'public',
+  // Leave free-text answers out of results shown without a token
+  hideTextInPublicResults: false,
+  // Duplicate protection: one response per browser, a per-IP cap, single-use invite codes
+  onePerBrowser: false,
+  maxResponsesPerIp: null,
+  ipWindowMinutes: 60,
+  requireInviteCode: false,
+  // Stop words and sentiment lexicon used to analyse free-text answers; see TEXT_LANGUAGES
+  textLanguage: 'en'
+};
+
+// draft: being prepared, open: collecting responses, closed: finished
+const SURVEY_STATUSES = ['draft', 'open', 'closed'];
+
+const LIFECYCLE_DEFAULTS = {
+  status: 'open',
+  opensAt: null,
+  closesAt: null,
+  maxResponses: null
 };
 
 // Initialize with survey from parent if provided
@@ -41,39 +95,63 @@ function initializeSurvey(surveyData) {
         ...q,
         id: q.id || `q_${idx}`
       })),
-      responses: [],
-      createdAt: new Date().toISOString(),
-      adminToken: surveyData.adminToken || Math.random().toString(36).substring(2, 15)
+      // Responses and timestamps are present when restoring from a snapshot
+      responses: Array.isArray(surveyData.responses) ? surveyData.responses : [],
+      createdAt: surveyData.createdAt || new Date().toISOString(),
+      adminToken: surveyData.adminToken || generateToken(),
+      // Scoped share links handed out by the editor
+      shareTokens: Array.isArray(surveyData.shareTokens) ? surveyData.shareTokens : [],
+      settings: normalizeSettings(surveyData.settings),
+      ...pickLifecycle(surveyData),
+      inviteCodes: Array.isArray(surveyData.inviteCodes) ? surveyData.inviteCodes : [],
+      blockedSubmissions: { ...EMPTY_BLOCKED_COUNTS, ...(surveyData.blockedSubmissions || {}) },
+      // Earlier question sets, so answers to retired questions and options can still be reported
+      version: surveyData.version || 1,
+      schemaHistory: Array.isArray(surveyData.schemaHistory) ? surveyData.schemaHistory : [],
+      // Receivers notified of new responses, and the recent deliveries to them
+      webhooks: Array.isArray(surveyData.webhooks) ? surveyData.webhooks : [],
+      // Live presentations don't outlast the pod
+      presentation: { ...PRESENTATION_DEFAULTS },
+      // Retries don't survive a pod restart, so deliveries still in flight are recorded as failed
+      webhookDeliveries: (Array.isArray(surveyData.webhookDeliveries) ? surveyData.webhookDeliveries : [])
+        .map(d => ['pending', 'retrying'].includes(d.status) ? { ...d, status: 'failed', nextAttemptAt: null } : d)
     };
     
-    store.surveys[surveyId] = survey;
+    if (surveyData.updatedAt) {
+      survey.updatedAt = surveyData.updatedAt;
+    }
     
-    // Set global for access in routes
-    app.locals.currentSurveyId = surveyId;
-    app.locals.currentSurveyAdminToken = survey.adminToken;
+    store.surveys[surveyId] = survey;
     
-    console.log(`Survey initialized: ${surveyId}`);
+    console.log(`Survey initialized: ${surveyId} (${survey.responses.length} responses)`);
     
     return surveyId;
   }
   return null;
 }
 
-// Try to initialize from parent window
-// In browser environment, window.surveyData is set by the parent Vite app
-if (typeof window !== 'undefined' && window.surveyData) {
-  initializeSurvey(window.surveyData);
-}
-
-// Try to read from survey-data.js file (for BrowserPod environment)
-try {
-  const surveyDataModule = require('./survey-data.js');
-  if (surveyDataModule && surveyDataModule.surveyId) {
-    const initialized = initializeSurvey(surveyDataModule);
-    console.log('Survey initialized:', surveyDataModule.surveyId);
-  }
-} catch (e) {
-  console.log('Survey data file not available yet or error:', e.message);
+// The record initializeSurvey seeds a survey from, for the host page to persist between pods.
+// It holds webhook secrets and respondent tokens, so only /api/state serves it
+function surveyStateRecord(survey) {
+  return {
+    surveyId: survey.id,
+    adminToken: survey.adminToken,
+    title: survey.title,
+    description: survey.description,
+    settings: survey.settings,
+    ...pickLifecycle(survey),
+    questions: survey.questions,
+    version: survey.version,
+    schemaHistory: survey.schemaHistory,
+    responses: survey.responses,
+    shareTokens: survey.shareTokens,
+    inviteCodes: survey.inviteCodes,
+    blockedSubmissions: survey.blockedSubmissions,
+    webhooks: survey.webhooks,
+    webhookDeliveries: survey.webhookDeliveries,
+    createdAt: survey.createdAt,
+    updatedAt: survey.updatedAt
+  };
 }
 
 // ===== UTILITY FUNCTIONS =====
@@ -83,117 +161,2978 @@ function generateId() {
   return `survey_${store.nextId++}`;
 }
 
+// Generate an unguessable access token
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Constant-time comparison so tokens can't be guessed byte by byte
+function tokensMatch(given, expected) {
+  if (typeof given !== 'string' || typeof expected !== 'string') return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Token from an "Authorization: Bearer" header, falling back to ?token=
+function getRequestToken(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.query.token;
+}
+
+const TOKEN_ROLES = ['viewer', 'editor'];
+
+// 'editor' for the admin token or an editor link, 'viewer' for a viewer link, otherwise null
+function getTokenRole(survey, token) {
+  if (!token) return null;
+  if (tokensMatch(token, survey.adminToken)) return 'editor';
+  const share = survey.shareTokens.find(t => tokensMatch(token, t.token));
+  return share ? share.role : null;
+}
+
+// Whether the request carries a token with at least the given role
+function hasRole(survey, req, role) {
+  const granted = getTokenRole(survey, getRequestToken(req));
+  return granted !== null && TOKEN_ROLES.indexOf(granted) >= TOKEN_ROLES.indexOf(role);
+}
+
 // Generate QR code as data URL
 async function generateQRCode(url) {
   try {
     return await QRCode.toDataURL(url);
   } catch (error) {
-    console.error('QR Code generation failed:', error);
-    return null;
+    console.error('QR Code generation failed:', error);
+    return null;
+  }
+}
+
+function normalizeSettings(settings) {
+  return { ...DEFAULT_SETTINGS, ...(settings || {}) };
+}
+
+function validateSettings(settings) {
+  const errors = [];
+  if (settings.resultsVisibility !== undefined && !RESULTS_VISIBILITY.includes(settings.resultsVisibility)) {
+    errors.push(`Results visibility must be one of: ${RESULTS_VISIBILITY.join(', ')}`);
+  }
+  ['hideTextInPublicResults', 'onePerBrowser', 'requireInviteCode'].forEach(key => {
+    if (settings[key] !== undefined && typeof settings[key] !== 'boolean') {
+      errors.push(`${key} must be true or false`);
+    }
+  });
+  if (settings.maxResponsesPerIp !== undefined && settings.maxResponsesPerIp !== null &&
+      (!Number.isInteger(settings.maxResponsesPerIp) || settings.maxResponsesPerIp < 1)) {
+    errors.push('maxResponsesPerIp must be a positive whole number');
+  }
+  if (settings.ipWindowMinutes !== undefined &&
+      (!Number.isInteger(settings.ipWindowMinutes) || settings.ipWindowMinutes < 1)) {
+    errors.push('ipWindowMinutes must be a positive whole number');
+  }
+  if (settings.textLanguage !== undefined && !TEXT_LANGUAGES[settings.textLanguage]) {
+    errors.push(`textLanguage must be one of: ${Object.keys(TEXT_LANGUAGES).join(', ')}`);
+  }
+  return errors;
+}
+
+// ===== LIFECYCLE =====
+
+function pickLifecycle(data) {
+  const lifecycle = {};
+  Object.keys(LIFECYCLE_DEFAULTS).forEach(key => {
+    lifecycle[key] = data[key] !== undefined ? data[key] : LIFECYCLE_DEFAULTS[key];
+  });
+  return lifecycle;
+}
+
+// Validate the lifecycle fields present in a request body
+function validateLifecycle(fields, survey = LIFECYCLE_DEFAULTS) {
+  const errors = [];
+  
+  if (fields.status !== undefined && !SURVEY_STATUSES.includes(fields.status)) {
+    errors.push(`Status must be one of: ${SURVEY_STATUSES.join(', ')}`);
+  }
+  
+  ['opensAt', 'closesAt'].forEach(key => {
+    if (fields[key] !== undefined && fields[key] !== null && isNaN(Date.parse(fields[key]))) {
+      errors.push(`${key} must be a date and time`);
+    }
+  });
+  
+  const opensAt = fields.opensAt !== undefined ? fields.opensAt : survey.opensAt;
+  const closesAt = fields.closesAt !== undefined ? fields.closesAt : survey.closesAt;
+  if (opensAt && closesAt && Date.parse(opensAt) >= Date.parse(closesAt)) {
+    errors.push('The closing time must be after the opening time');
+  }
+  
+  if (fields.maxResponses !== undefined && fields.maxResponses !== null &&
+      (!Number.isInteger(fields.maxResponses) || fields.maxResponses < 1)) {
+    errors.push('maxResponses must be a positive whole number');
+  }
+  
+  return errors;
+}
+
+// Where the survey stands right now, taking the schedule and quota into account
+function getSurveyState(survey) {
+  const now = Date.now();
+  
+  if (survey.status === 'draft') {
+    return { status: 'draft', reason: 'draft' };
+  }
+  if (survey.status === 'closed') {
+    return { status: 'closed', reason: 'closed' };
+  }
+  if (survey.opensAt && Date.parse(survey.opensAt) > now) {
+    return { status: 'scheduled', reason: 'not-yet-open', opensAt: survey.opensAt };
+  }
+  if (survey.closesAt && Date.parse(survey.closesAt) <= now) {
+    return { status: 'closed', reason: 'deadline' };
+  }
+  // Hidden and deleted responses don't count, so moderating spam frees its slot and can reopen the survey
+  if (survey.maxResponses && visibleResponses(survey).length >= survey.maxResponses) {
+    return { status: 'closed', reason: 'quota' };
+  }
+  return { status: 'open', reason: null };
+}
+
+function isSurveyClosed(survey) {
+  return getSurveyState(survey).status === 'closed';
+}
+
+// ===== DEDUPLICATION =====
+
+function signValue(value) {
+  const signature = crypto.createHmac('sha256', cookieSecret).update(value).digest('hex');
+  return `${value}.${signature}`;
+}
+
+// The signed value, or null if the signature doesn't check out
+function unsignValue(signed) {
+  const dot = signed.lastIndexOf('.');
+  if (dot === -1) return null;
+  const value = signed.slice(0, dot);
+  return tokensMatch(signed, signValue(value)) ? value : null;
+}
+
+function getCookie(req, name) {
+  const header = req.get('Cookie') || '';
+  const pair = header.split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+function respondedCookieName(survey) {
+  return `ss_responded_${survey.id}`;
+}
+
+// A signed cookie or a respondent token from an earlier submission to this survey. The cookie carries
+// the response ID, so it stops counting once that response is deleted
+function hasAlreadyResponded(survey, req) {
+  const cookie = getCookie(req, respondedCookieName(survey));
+  const responseId = cookie && unsignValue(cookie);
+  if (responseId && survey.responses.some(r => r.id === responseId)) return true;
+  
+  const token = getRespondentToken(req);
+  return Boolean(token) && survey.responses.some(r => tokensMatch(token, r.respondentToken));
+}
+
+// Never read X-Forwarded-For directly: respondents can set it to dodge the per-IP cap
+function getClientIp(req) {
+  return req.ip;
+}
+
+// Accepted submissions from this IP inside the survey's window, oldest dropped
+function recentSubmissions(survey, ip) {
+  const cutoff = Date.now() - survey.settings.ipWindowMinutes * 60 * 1000;
+  const bySurvey = submissionsByIp[survey.id] || (submissionsByIp[survey.id] = {});
+  bySurvey[ip] = (bySurvey[ip] || []).filter(time => time > cutoff);
+  return bySurvey[ip];
+}
+
+// Trimmed, upper-cased invite code, or null; a repeated ?invite= arrives as an array and is rejected
+function getInviteCode(req) {
+  const code = req.get('X-Invite-Code') || req.query.invite;
+  return typeof code === 'string' ? code.trim().toUpperCase() : null;
+}
+
+// Check the survey's dedupe policies; returns { status, kind, error } for a rejected submission
+function checkDuplicate(survey, req) {
+  const { settings } = survey;
+  
+  if (settings.requireInviteCode) {
+    const code = getInviteCode(req);
+    const invite = code && survey.inviteCodes.find(i => tokensMatch(code, i.code));
+    if (!invite) {
+      return { status: 403, kind: 'invalidInvite', error: 'A valid invite code is required to respond to this survey' };
+    }
+    if (invite.usedAt) {
+      return { status: 409, kind: 'invalidInvite', error: 'This invite code has already been used' };
+    }
+  }
+  
+  if (settings.onePerBrowser && hasAlreadyResponded(survey, req)) {
+    return { status: 409, kind: 'duplicate', error: 'You have already responded to this survey' };
+  }
+  
+  if (settings.maxResponsesPerIp && recentSubmissions(survey, getClientIp(req)).length >= settings.maxResponsesPerIp) {
+    return { status: 429, kind: 'rateLimited', error: 'Too many responses from your network. Please try again later' };
+  }
+  
+  return null;
+}
+
+// Short codes without look-alike characters (no 0/O, 1/I)
+function generateInviteCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+}
+
+const CLOSED_MESSAGES = {
+  'draft': 'This survey has not been published yet',
+  'closed': 'This survey is closed',
+  'not-yet-open': 'This survey is not open yet',
+  'deadline': 'This survey has closed',
+  'quota': 'This survey has received all the responses it needs'
+};
+
+// Proof that the caller has submitted a response, issued when they submitted it
+function getRespondentToken(req) {
+  return req.get('X-Respondent-Token') || req.query.respondent;
+}
+
+// 'full' for token holders, 'public' when the visibility setting lets the caller in, otherwise null
+function getResultsAccess(survey, req) {
+  if (hasRole(survey, req, 'viewer')) return 'full';
+  
+  switch (survey.settings.resultsVisibility) {
+    case 'public':
+      return 'public';
+    case 'public-after-close':
+      return isSurveyClosed(survey) ? 'public' : null;
+    case 'respondents': {
+      const token = getRespondentToken(req);
+      return token && survey.responses.some(r => tokensMatch(token, r.respondentToken)) ? 'public' : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Public results may leave out free-text answers
+function publicResults(survey, results) {
+  if (!survey.settings.hideTextInPublicResults) return results;
+  
+  return {
+    ...results,
+    questions: results.questions.map(question => question.type === 'text'
+      ? { ...question, responses: [], analysis: null, hidden: true }
+      : question)
+  };
+}
+
+function sendResultsLocked(res, survey) {
+  res.status(403).json({
+    error: 'Results are not available',
+    locked: true,
+    resultsVisibility: survey.settings.resultsVisibility
+  });
+}
+
+// Question types the server knows how to validate and aggregate
+const QUESTION_TYPES = ['text', 'single-choice', 'multiple-choice', 'scale', 'ranking', 'matrix', 'number', 'date', 'nps'];
+
+// Results and crosstabs have one bucket per scale value, so a scale spans at most this many steps
+const MAX_SCALE_SPAN = 20;
+
+// Page breaks live in the question list with a title and optional description but take no answer
+const SECTION_TYPE = 'section';
+
+function isSection(question) {
+  return question.type === SECTION_TYPE;
+}
+
+// Whether a respondent actually answered (0 counts, empty strings/lists/objects do not)
+function hasAnswer(answer) {
+  if (answer === undefined || answer === null || answer === '') return false;
+  if (Array.isArray(answer)) return answer.length > 0;
+  if (typeof answer === 'object') return Object.keys(answer).length > 0;
+  return true;
+}
+
+// Operators supported by a question's showIf rule
+const SHOW_IF_OPERATORS = ['equals', 'not-equals', 'greater-than', 'less-than', 'answered'];
+
+// Compare an answer with a rule value: dates (YYYY-MM-DD) as text, anything else as numbers
+function compareAnswer(answer, value) {
+  const isDate = v => /^\d{4}-\d{2}-\d{2}$/.test(String(v));
+  if (isDate(answer) && isDate(value)) {
+    return String(answer).localeCompare(String(value));
+  }
+  return parseFloat(answer) - parseFloat(value);
+}
+
+// Check whether an answer satisfies a showIf condition
+function conditionMet(condition, answer) {
+  const answered = Array.isArray(answer) ? answer.length > 0 : Boolean(answer);
+  
+  switch (condition.operator) {
+    case 'answered':
+      return answered;
+    case 'equals':
+      return Array.isArray(answer)
+        ? answer.includes(condition.value)
+        : answered && String(answer) === String(condition.value);
+    case 'not-equals':
+      return !conditionMet({ ...condition, operator: 'equals' }, answer);
+    case 'greater-than':
+      return answered && compareAnswer(answer, condition.value) > 0;
+    case 'less-than':
+      return answered && compareAnswer(answer, condition.value) < 0;
+    default:
+      return true;
+  }
+}
+
+// Work out which questions are shown for a set of answers. A question whose
+// showIf refers to a hidden question is hidden as well.
+function getVisibleQuestionIds(questions, answers) {
+  const visible = new Set();
+  
+  for (const question of questions) {
+    const rule = question.showIf;
+    if (!rule || (visible.has(rule.questionId) && conditionMet(rule, answers[rule.questionId]))) {
+      visible.add(question.id);
+    }
+  }
+  
+  return visible;
+}
+
+// Validate showIf rules: each must reference an earlier question with a known operator
+function validateShowIfRules(questions) {
+  const errors = [];
+  const earlier = {};
+  
+  for (const question of questions) {
+    const rule = question.showIf;
+    
+    if (rule && !isSection(question)) {
+      const source = earlier[rule.questionId];
+      if (!source) {
+        errors.push(`Question "${question.text}" can only depend on an earlier question`);
+      } else if (!SHOW_IF_OPERATORS.includes(rule.operator)) {
+        errors.push(`Question "${question.text}" has an unknown rule operator "${rule.operator}"`);
+      } else if (rule.operator !== 'answered' && (rule.value === undefined || rule.value === '')) {
+        errors.push(`Question "${question.text}" needs a value for its rule`);
+      } else if ((source.type === 'single-choice' || source.type === 'multiple-choice') &&
+          rule.operator !== 'answered' && !source.options.some(opt => opt.id === rule.value)) {
+        errors.push(`Question "${question.text}" depends on an option that does not exist`);
+      } else if ((source.type === 'ranking' || source.type === 'matrix') && rule.operator !== 'answered') {
+        errors.push(`Question "${question.text}" can only depend on whether a ${source.type} question is answered`);
+      }
+    }
+    
+    // Page breaks have no answer to depend on
+    if (!isSection(question)) {
+      earlier[question.id] = question;
+    }
+  }
+  
+  return errors;
+}
+
+// Validate question definitions sent to POST/PUT /api/surveys
+function validateQuestions(questions) {
+  const errors = [];
+  // Same minimums as the creator and the dashboard editor; item IDs are checked by validateStableIds
+  const hasItems = (items, min) => Array.isArray(items) && items.length >= min &&
+    items.every(item => item && typeof item.label === 'string' && item.label.trim());
+  
+  for (const question of questions) {
+    if (isSection(question)) {
+      if (question.showIf) {
+        errors.push(`Page "${question.text}" can't have a display rule`);
+      }
+      if (question.description !== undefined && typeof question.description !== 'string') {
+        errors.push(`Page "${question.text}" has an invalid description`);
+      }
+      continue;
+    }
+    
+    if (!QUESTION_TYPES.includes(question.type)) {
+      errors.push(`Question "${question.text}" has an unknown type "${question.type}"`);
+      continue;
+    }
+    
+    switch (question.type) {
+      case 'single-choice':
+      case 'multiple-choice':
+      case 'ranking':
+        if (!hasItems(question.options, 2)) {
+          errors.push(`Question "${question.text}" needs at least 2 labelled options`);
+        }
+        break;
+      
+      case 'matrix':
+        if (!hasItems(question.rows, 1) || !hasItems(question.columns, 2)) {
+          errors.push(`Question "${question.text}" needs at least 1 row and 2 columns, all labelled`);
+        }
+        break;
+      
+      case 'scale':
+        if (!Number.isInteger(question.minValue) || !Number.isInteger(question.maxValue) ||
+            question.minValue >= question.maxValue || question.maxValue - question.minValue > MAX_SCALE_SPAN) {
+          errors.push(`Question "${question.text}" needs whole-number scale bounds, the minimum below the maximum and at most ${MAX_SCALE_SPAN} apart`);
+        }
+        break;
+      
+      case 'number':
+        if (question.minValue !== undefined && question.maxValue !== undefined && question.minValue > question.maxValue) {
+          errors.push(`Question "${question.text}" has a minimum above its maximum`);
+        }
+        break;
+    }
+  }
+  
+  return errors.concat(validateShowIfRules(questions));
+}
+
+// Validate survey response based on survey config; with requireOnly, only that question is required
+function validateResponse(survey, response, { requireOnly = null } = {}) {
+  const errors = [];
+  const visible = getVisibleQuestionIds(survey.questions, response);
+  
+  for (const question of survey.questions) {
+    if (isSection(question)) continue;
+    
+    const answer = response[question.id];
+    
+    // Hidden questions are never required and must not be answered
+    if (!visible.has(question.id)) {
+      if (hasAnswer(answer)) {
+        errors.push(`Question "${question.text}" does not apply to your earlier answers`);
+      }
+      continue;
+    }
+    
+    const required = requireOnly ? question.id === requireOnly : question.required;
+    if (required && !hasAnswer(answer)) {
+      errors.push(`Question "${question.text}" is required`);
+      continue;
+    }
+    
+    switch (question.type) {
+      case 'text':
+        if (answer && typeof answer !== 'string') {
+          errors.push(`Question "${question.text}" must be text`);
+        }
+        if (answer && answer.length > 5000) {
+          errors.push(`Question "${question.text}" response too long (max 5000 chars)`);
+        }
+        break;
+      
+      case 'multiple-choice':
+      case 'single-choice':
+        if (answer) {
+          const validOptions = question.options.map(opt => opt.id);
+          if (Array.isArray(answer)) {
+            if (!answer.every(a => validOptions.includes(a))) {
+              errors.push(`Invalid option selected for "${question.text}"`);
+            }
+          } else if (!validOptions.includes(answer)) {
+            errors.push(`Invalid option selected for "${question.text}"`);
+          }
+        }
+        break;
+      
+      case 'scale':
+        if (answer) {
+          const num = parseInt(answer);
+          if (isNaN(num) || num < question.minValue || num > question.maxValue) {
+            errors.push(`Scale answer for "${question.text}" must be between ${question.minValue} and ${question.maxValue}`);
+          }
+        }
+        break;
+      
+      case 'ranking':
+        if (hasAnswer(answer)) {
+          // A ranking is the full list of option IDs, best first
+          const validOptions = question.options.map(opt => opt.id);
+          const ranked = Array.isArray(answer) ? answer : [answer];
+          if (ranked.length !== validOptions.length ||
+              new Set(ranked).size !== ranked.length ||
+              !ranked.every(a => validOptions.includes(a))) {
+            errors.push(`Ranking for "${question.text}" must order every option exactly once`);
+          }
+        }
+        break;
+      
+      case 'matrix':
+        if (hasAnswer(answer)) {
+          // A matrix answer maps row IDs to column IDs
+          if (typeof answer !== 'object' || Array.isArray(answer)) {
+            errors.push(`Question "${question.text}" must have one answer per row`);
+            break;
+          }
+          const validColumns = question.columns.map(col => col.id);
+          const invalid = Object.entries(answer).some(([rowId, colId]) =>
+            !question.rows.some(row => row.id === rowId) || !validColumns.includes(colId));
+          if (invalid) {
+            errors.push(`Invalid row or column selected for "${question.text}"`);
+          } else if (question.required && question.rows.some(row => !answer[row.id])) {
+            errors.push(`Every row of "${question.text}" must be answered`);
+          }
+        }
+        break;
+      
+      case 'number':
+        if (hasAnswer(answer)) {
+          const num = Number(answer);
+          if (typeof answer === 'object' || isNaN(num)) {
+            errors.push(`Question "${question.text}" must be a number`);
+          } else if ((question.minValue !== undefined && num < question.minValue) ||
+              (question.maxValue !== undefined && num > question.maxValue)) {
+            errors.push(`Number for "${question.text}" must be between ${question.minValue ?? '-∞'} and ${question.maxValue ?? '∞'}`);
+          }
+        }
+        break;
+      
+      case 'date':
+        if (hasAnswer(answer)) {
+          // Impossible dates like 2024-13-45 parse as Invalid Date; ones like 2024-02-30 roll over
+          const date = typeof answer === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(answer)
+            ? new Date(`${answer}T00:00:00Z`)
+            : null;
+          const valid = date !== null &&
+            !Number.isNaN(date.getTime()) &&
+            date.toISOString().startsWith(answer);
+          if (!valid) {
+            errors.push(`Question "${question.text}" must be a date (YYYY-MM-DD)`);
+          }
+        }
+        break;
+      
+      case 'nps':
+        if (hasAnswer(answer)) {
+          const score = Number(answer);
+          if (!Number.isInteger(score) || score < 0 || score > 10) {
+            errors.push(`Score for "${question.text}" must be a whole number from 0 to 10`);
+          }
+        }
+        break;
+    }
+  }
+  
+  return errors;
+}
+
+// Two-sided 95% critical values of Student's t, indexed by degrees of freedom
+const T_CRITICAL_95 = [
+  null, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Summary statistics and a minValue..maxValue histogram for scale answers
+function describeScale(values, minValue, maxValue) {
+  const n = values.length;
+  const histogram = [];
+  for (let value = minValue; value <= maxValue; value++) {
+    const count = values.filter(v => v === value).length;
+    histogram.push({
+      value,
+      count,
+      percentage: n > 0 ? ((count / n) * 100).toFixed(1) : '0.0'
+    });
+  }
+  
+  if (n === 0) {
+    return {
+      average: null,
+      median: null,
+      mode: [],
+      stdDev: null,
+      confidenceInterval: null,
+      histogram
+    };
+  }
+  
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(n / 2);
+  const median = n % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  
+  // Every value tied for the highest count
+  const highestCount = Math.max(...histogram.map(bucket => bucket.count));
+  const mode = histogram
+    .filter(bucket => bucket.count === highestCount)
+    .map(bucket => bucket.value);
+  
+  // Sample standard deviation; undefined for a single answer
+  const variance = n > 1
+    ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)
+    : null;
+  const stdDev = variance !== null ? Math.sqrt(variance) : null;
+  
+  let confidenceInterval = null;
+  if (stdDev !== null) {
+    const critical = T_CRITICAL_95[n - 1] || 1.96;
+    const margin = critical * stdDev / Math.sqrt(n);
+    confidenceInterval = {
+      level: 0.95,
+      lower: (mean - margin).toFixed(2),
+      upper: (mean + margin).toFixed(2),
+      marginOfError: margin.toFixed(2)
+    };
+  }
+  
+  return {
+    average: mean.toFixed(2),
+    median,
+    mode,
+    stdDev: stdDev !== null ? stdDev.toFixed(2) : null,
+    confidenceInterval,
+    histogram
+  };
+}
+
+// Question types that can be used in result filters and cross-tabulations
+const FILTERABLE_TYPES = ['single-choice', 'multiple-choice', 'scale', 'nps', 'number', 'date'];
+const CROSSTAB_TYPES = ['single-choice', 'multiple-choice', 'scale', 'nps'];
+
+// Validate ?filter[questionId]=value and ?from/?to query parameters
+function validateFilters(survey, query) {
+  const errors = [];
+  const filters = query.filter || {};
+  
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['Filters must be given as filter[questionId]=value'];
+  }
+  
+  for (const [questionId, value] of Object.entries(filters)) {
+    const question = survey.questions.find(q => q.id === questionId);
+    if (!question) {
+      errors.push(`Unknown question "${questionId}" in filter`);
+    } else if (!FILTERABLE_TYPES.includes(question.type)) {
+      errors.push(`Question "${question.text}" cannot be used as a filter`);
+    } else if (typeof value !== 'string' || !value) {
+      errors.push(`Filter for "${question.text}" needs a value`);
+    }
+  }
+  
+  ['from', 'to'].forEach(param => {
+    if (query[param] !== undefined && isNaN(Date.parse(query[param]))) {
+      errors.push(`"${param}" must be a date`);
+    }
+  });
+  
+  return errors;
+}
+
+// Responses matching every filter; comma-separated values match any of them
+function filterResponses(survey, query) {
+  const filters = Object.entries(query.filter || {}).map(([questionId, value]) => ({
+    questionId,
+    values: value.split(',').map(v => v.trim())
+  }));
+  
+  const from = query.from ? new Date(query.from) : null;
+  let to = query.to ? new Date(query.to) : null;
+  // A bare date as the upper bound includes the whole day
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  
+  return visibleResponses(survey).filter(response => {
+    const submittedAt = new Date(response.submittedAt);
+    if (from && submittedAt < from) return false;
+    if (to && submittedAt > to) return false;
+    
+    return filters.every(({ questionId, values }) => {
+      const answer = response.data[questionId];
+      const answers = Array.isArray(answer) ? answer : [answer];
+      return answers.some(a => hasAnswer(a) && values.includes(String(a)));
+    });
+  });
+}
+
+function isFiltered(query) {
+  return Object.keys(query.filter || {}).length > 0 || Boolean(query.from) || Boolean(query.to);
+}
+
+// The categories a crosstab axis is split into
+function getCrosstabCategories(question) {
+  switch (question.type) {
+    case 'single-choice':
+    case 'multiple-choice':
+      return question.options.map(opt => ({ id: opt.id, label: opt.label }));
+    
+    case 'scale':
+      const categories = [];
+      for (let value = question.minValue; value <= question.maxValue; value++) {
+        categories.push({ id: String(value), label: String(value) });
+      }
+      return categories;
+    
+    case 'nps':
+      return Array.from({ length: 11 }, (_, value) => ({ id: String(value), label: String(value) }));
+  }
+}
+
+// Count responses for every pair of categories of two questions
+function crossTabulate(survey, rowQuestion, columnQuestion, responses) {
+  const answerIds = (response, question) => {
+    const answer = response.data[question.id];
+    return (Array.isArray(answer) ? answer : [answer])
+      .filter(hasAnswer)
+      .map(String);
+  };
+  
+  const rowCategories = getCrosstabCategories(rowQuestion);
+  const columnCategories = getCrosstabCategories(columnQuestion);
+  const columnTotals = {};
+  columnCategories.forEach(col => { columnTotals[col.id] = 0; });
+  
+  // Only respondents who answered both questions are counted
+  const answered = responses
+    .map(response => ({
+      rows: answerIds(response, rowQuestion),
+      columns: answerIds(response, columnQuestion)
+    }))
+    .filter(pair => pair.rows.length > 0 && pair.columns.length > 0);
+  
+  const rows = rowCategories.map(row => {
+    const matching = answered.filter(pair => pair.rows.includes(row.id));
+    const cells = columnCategories.map(col => {
+      const count = matching.filter(pair => pair.columns.includes(col.id)).length;
+      columnTotals[col.id] += count;
+      return {
+        id: col.id,
+        label: col.label,
+        count,
+        // Share of this row's respondents, e.g. "of those who picked A, 40% rated 5"
+        percentage: matching.length > 0 ? ((count / matching.length) * 100).toFixed(1) : '0.0'
+      };
+    });
+    
+    return { id: row.id, label: row.label, total: matching.length, cells };
+  });
+  
+  return {
+    surveyId: survey.id,
+    rowQuestion: { id: rowQuestion.id, text: rowQuestion.text, type: rowQuestion.type },
+    columnQuestion: { id: columnQuestion.id, text: columnQuestion.text, type: columnQuestion.type },
+    totalResponses: answered.length,
+    columns: columnCategories.map(col => ({ ...col, total: columnTotals[col.id] })),
+    rows
+  };
+}
+
+// ===== TEXT ANALYSIS =====
+
+// Languages free-text analysis knows: words left out of term counts, words that flip
+// the sentiment of the next two words, and a small sentiment lexicon scored -3..3
+const TEXT_LANGUAGES = {
+  en: {
+    stopWords: ('a about above after again against all also am an and any are as at be because been before being below ' +
+      'between both but by can could did do does doing down during each few for from further had has have having he her ' +
+      'here hers herself him himself his how i if in into is it its itself just me more most my myself no nor not now of ' +
+      'off on once only or other our ours ourselves out over own same she should so some such than that the their theirs ' +
+      'them themselves then there these they this those through to too under until up very was we were what when where ' +
+      'which while who whom why will with would you your yours yourself yourselves im ive dont didnt isnt wasnt cant ' +
+      'wont its thats theres really get got one lot much many make made like also still even well').split(' '),
+    negators: ['not', 'no', 'never', 'none', 'nothing', 'neither', 'nor', 'dont', 'didnt', 'doesnt', 'isnt', 'wasnt',
+      'werent', 'arent', 'cant', 'cannot', 'couldnt', 'wont', 'wouldnt', 'shouldnt', 'hardly', 'without'],
+    lexicon: {
+      excellent: 3, amazing: 3, outstanding: 3, fantastic: 3, wonderful: 3, brilliant: 3, perfect: 3, love: 3, loved: 3,
+      awesome: 3, superb: 3, great: 3, best: 3, good: 2, nice: 2, happy: 2, helpful: 2, enjoyed: 2, enjoy: 2, useful: 2,
+      clear: 2, easy: 2, fun: 2, interesting: 2, engaging: 2, informative: 2, friendly: 2, recommend: 2, impressive: 2,
+      pleased: 2, glad: 2, fast: 1, quick: 1, like: 1, liked: 1, fine: 1, ok: 1, okay: 1, better: 1, improved: 1,
+      thanks: 2, thank: 2, smooth: 1, solid: 1, valuable: 2, inspiring: 3, relevant: 1,
+      bad: -2, poor: -2, boring: -2, confusing: -2, confused: -2, difficult: -1, hard: -1, slow: -1, problem: -1,
+      problems: -1, issue: -1, issues: -1, bug: -1, bugs: -1, broken: -2, annoying: -2, disappointed: -2,
+      disappointing: -2, frustrating: -2, frustrated: -2, unhelpful: -2, useless: -3, waste: -2, hate: -3, hated: -3,
+      terrible: -3, awful: -3, horrible: -3, worst: -3, worse: -2, unclear: -2, long: -1, rushed: -1, crowded: -1,
+      expensive: -1, late: -1, tired: -1, sad: -2, angry: -3, fail: -2, failed: -2, wrong: -2, missing: -1, lacking: -1
+    }
+  },
+  es: {
+    stopWords: ('a al algo algunos ante antes como con contra cual cuando de del desde donde durante e el ella ellas ' +
+      'ellos en entre era es esa ese eso esta estaba estado estar este esto estos fue fueron ha hay la las le les lo los ' +
+      'mas me mi mis mucho muy nada ni no nos o os otra otro para pero poco por porque que quien se sea ser si sido sin ' +
+      'sobre su sus tambien te tiene tu un una uno unos y ya yo').split(' '),
+    negators: ['no', 'nunca', 'jamas', 'nada', 'ni', 'sin', 'tampoco'],
+    lexicon: {
+      excelente: 3, increible: 3, perfecto: 3, genial: 3, encanto: 3, fantastico: 3, bueno: 2, buena: 2, bien: 2,
+      util: 2, claro: 2, facil: 2, interesante: 2, divertido: 2, gracias: 2, recomiendo: 2, mejor: 1, rapido: 1,
+      malo: -2, mala: -2, mal: -2, aburrido: -2, confuso: -2, dificil: -1, lento: -1, problema: -1, problemas: -1,
+      terrible: -3, horrible: -3, peor: -3, inutil: -3, odio: -3, decepcionado: -2, largo: -1
+    }
+  },
+  fr: {
+    stopWords: ('a au aux avec ce ces cette dans de des du elle en est et etait eu il ils je la le les leur lui ma mais ' +
+      'me meme mes moi mon ne nos notre nous on ou par pas pour qu que qui sa se ses son sur ta te tes toi ton tu un une ' +
+      'vos votre vous y tres plus bien aussi ete etre fait sont tout cest').split(' '),
+    negators: ['pas', 'jamais', 'rien', 'aucun', 'aucune', 'sans', 'ni', 'plus'],
+    lexicon: {
+      excellent: 3, excellente: 3, parfait: 3, genial: 3, formidable: 3, super: 3, adore: 3, bon: 2, bonne: 2,
+      utile: 2, clair: 2, facile: 2, interessant: 2, agreable: 2, merci: 2, recommande: 2, content: 2, rapide: 1,
+      mauvais: -2, mauvaise: -2, ennuyeux: -2, confus: -2, difficile: -1, lent: -1, probleme: -1, problemes: -1,
+      terrible: -3, horrible: -3, nul: -3, inutile: -3, deteste: -3, decu: -2, long: -1
+    }
+  },
+  de: {
+    stopWords: ('aber als am an auch auf aus bei bin bis bist da das dass dem den der des die dir du ein eine einem ' +
+      'einen einer eines er es fur hat hatte ich ihr im in ist ja jetzt kann man mein mich mir mit nach noch nur oder ' +
+      'sehr sein sich sie sind so uber um und uns von vor war waren was wie wir wird zu zum zur sehr schon').split(' '),
+    negators: ['nicht', 'kein', 'keine', 'keinen', 'nie', 'niemals', 'nichts', 'ohne'],
+    lexicon: {
+      ausgezeichnet: 3, hervorragend: 3, perfekt: 3, toll: 3, super: 3, genial: 3, gut: 2, gute: 2, guter: 2,
+      hilfreich: 2, klar: 2, einfach: 2, interessant: 2, spannend: 2, danke: 2, empfehlen: 2, schnell: 1, besser: 1,
+      schlecht: -2, schlechte: -2, langweilig: -2, verwirrend: -2, schwierig: -1, langsam: -1, problem: -1,
+      probleme: -1, schrecklich: -3, furchtbar: -3, schlimm: -2, nutzlos: -3, enttauscht: -2, lang: -1
+    }
+  }
+};
+
+// Stop word sets, built once per language
+const STOP_WORD_SETS = Object.fromEntries(
+  Object.entries(TEXT_LANGUAGES).map(([code, language]) => [code, new Set(language.stopWords)])
+);
+
+const TOP_TERMS = 30;
+const TOP_BIGRAMS = 15;
+
+// Lower-case words with accents and apostrophes removed, so "Don't" and "dont" or "fácil" and "facil" match
+function tokenizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Whether a word counts as a term: not a stop word, a number or a single letter
+function isTerm(word, language) {
+  return word.length > 1 && !/^\d+$/.test(word) && !STOP_WORD_SETS[language].has(word);
+}
+
+// Lexicon score of one answer; a negator within the two preceding words flips a word's score
+function scoreSentiment(words, language) {
+  const { lexicon, negators } = TEXT_LANGUAGES[language];
+  let score = 0;
+  words.forEach((word, idx) => {
+    const value = lexicon[word];
+    if (!value) return;
+    const negated = words.slice(Math.max(0, idx - 2), idx).some(w => negators.includes(w));
+    score += negated ? -value : value;
+  });
+  return {
+    score,
+    label: score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral'
+  };
+}
+
+// Sentiment of a single free-text answer
+function answerSentiment(text, language) {
+  return scoreSentiment(tokenizeText(text), language);
+}
+
+// Top terms (with how many answers use each), top two-word phrases and sentiment totals for a set of answers
+function analyzeText(answers, language) {
+  const terms = {};
+  const bigrams = {};
+  const sentiment = { positive: 0, neutral: 0, negative: 0, averageScore: null };
+  let totalWords = 0;
+  let scoreSum = 0;
+  
+  answers.forEach(text => {
+    const words = tokenizeText(text);
+    totalWords += words.length;
+    
+    const seen = new Set();
+    words.forEach((word, idx) => {
+      if (!isTerm(word, language)) return;
+      terms[word] = terms[word] || { term: word, count: 0, answers: 0 };
+      terms[word].count++;
+      if (!seen.has(word)) {
+        terms[word].answers++;
+        seen.add(word);
+      }
+      // Phrases are two neighbouring terms; a stop word in between breaks them
+      const next = words[idx + 1];
+      if (next && isTerm(next, language)) {
+        const phrase = `${word} ${next}`;
+        bigrams[phrase] = bigrams[phrase] || { phrase, count: 0 };
+        bigrams[phrase].count++;
+      }
+    });
+    
+    const { score, label } = scoreSentiment(words, language);
+    sentiment[label]++;
+    scoreSum += score;
+  });
+  
+  if (answers.length > 0) {
+    sentiment.averageScore = parseFloat((scoreSum / answers.length).toFixed(2));
+  }
+  
+  const byCount = (a, b) => b.count - a.count || (a.term || a.phrase).localeCompare(b.term || b.phrase);
+  return {
+    language,
+    totalWords,
+    uniqueTerms: Object.keys(terms).length,
+    terms: Object.values(terms).sort(byCount).slice(0, TOP_TERMS),
+    // A phrase used once says nothing about the group
+    bigrams: Object.values(bigrams).filter(b => b.count > 1).sort(byCount).slice(0, TOP_BIGRAMS),
+    sentiment
+  };
+}
+
+// Language for text analysis from ?language=, falling back to the survey's setting; null if unknown
+function textLanguage(survey, query) {
+  const language = query.language || survey.settings.textLanguage;
+  return TEXT_LANGUAGES[language] ? language : null;
+}
+
+// ===== SCHEMA VERSIONS =====
+
+// Random suffixes so a new ID can never collide with a retired one
+function newItemId(prefix) {
+  return `${prefix}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Give new questions, options, rows and columns an ID; existing IDs are left alone
+function assignStableIds(questions) {
+  const withIds = (items, prefix) => Array.isArray(items)
+    ? items.map(item => item && typeof item === 'object' ? { ...item, id: item.id || newItemId(prefix) } : item)
+    : items;
+  
+  return questions.map(q => {
+    const question = { ...q, id: q.id || newItemId('q') };
+    ['options', 'rows', 'columns'].forEach(kind => {
+      if (question[kind] !== undefined) {
+        question[kind] = withIds(question[kind], { options: 'opt', rows: 'row', columns: 'col' }[kind]);
+      }
+    });
+    return question;
+  });
+}
+
+// Pages put these IDs into attributes, element IDs and selectors, so clients may only send plain ones
+const STABLE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isValidStableId(id) {
+  return typeof id === 'string' && STABLE_ID_PATTERN.test(id);
+}
+
+// An ID keeps its meaning across versions: well-formed, no duplicates, and a question can't change type
+function validateStableIds(survey, questions) {
+  const errors = [];
+  const knownTypes = {};
+  survey.schemaHistory.concat({ questions: survey.questions }).forEach(version => {
+    version.questions.forEach(q => { knownTypes[q.id] = q.type; });
+  });
+  
+  const seen = new Set();
+  questions.forEach(q => {
+    if (!isValidStableId(q.id)) {
+      errors.push(`Question "${q.text}" has an invalid ID; use up to 64 letters, digits, _ or -`);
+    }
+    if (seen.has(q.id)) {
+      errors.push(`Question ID ${q.id} is used more than once`);
+    }
+    seen.add(q.id);
+    
+    if (knownTypes[q.id] && knownTypes[q.id] !== q.type) {
+      errors.push(`Question "${q.text}" can't change type from ${knownTypes[q.id]} to ${q.type}; add it as a new question instead`);
+    }
+    
+    ['options', 'rows', 'columns'].forEach(kind => {
+      const ids = (Array.isArray(q[kind]) ? q[kind] : []).map(item => item && item.id);
+      if (!ids.every(isValidStableId)) {
+        errors.push(`Question "${q.text}" has invalid ${kind}; each needs an ID of up to 64 letters, digits, _ or -`);
+      } else if (new Set(ids).size !== ids.length) {
+        errors.push(`Question "${q.text}" has duplicate ${kind}`);
+      }
+    });
+  });
+  return errors;
+}
+
+// Every earlier definition of a question with the same type, oldest first
+function questionHistory(survey, question) {
+  return survey.schemaHistory
+    .map(version => version.questions.find(q => q.id === question.id))
+    .filter(q => q && q.type === question.type);
+}
+
+// The question with options, rows and columns from earlier versions added back, marked retired
+function withRetiredItems(survey, question) {
+  const merged = { ...question };
+  ['options', 'rows', 'columns'].forEach(kind => {
+    if (!Array.isArray(question[kind])) return;
+    const items = question[kind].slice();
+    questionHistory(survey, question).forEach(earlier => {
+      (earlier[kind] || []).forEach(item => {
+        if (!items.some(i => i.id === item.id)) items.push({ ...item, retired: true });
+      });
+    });
+    merged[kind] = items;
+  });
+  return merged;
+}
+
+// Questions removed in a later version, each as it was last defined
+function retiredQuestions(survey) {
+  const current = new Set(survey.questions.map(q => q.id));
+  const retired = new Map();
+  survey.schemaHistory.forEach(version => {
+    version.questions.forEach(q => {
+      if (!current.has(q.id)) retired.set(q.id, q);
+    });
+  });
+  return [...retired.values()].map(q => ({ ...withRetiredItems(survey, q), retired: true }));
+}
+
+// Current questions plus retired ones that some of these responses answered; page breaks are left out
+function reportingQuestions(survey, responses) {
+  return survey.questions
+    .filter(q => !isSection(q))
+    .map(q => withRetiredItems(survey, q))
+    .concat(retiredQuestions(survey).filter(q => responses.some(r => hasAnswer(r.data[q.id]))));
+}
+
+// Responses that count towards results; admins can hide spam and test entries
+function visibleResponses(survey) {
+  return survey.responses.filter(response => !response.hidden);
+}
+
+// Aggregate responses (all visible ones unless a filtered subset is given) into per-question results
+function aggregateResults(survey, responses = visibleResponses(survey), { language = survey.settings.textLanguage } = {}) {
+  return {
+    surveyId: survey.id,
+    title: survey.title,
+    totalResponses: responses.length,
+    questions: reportingQuestions(survey, responses).map(question => {
+      const questionResults = {
+        id: question.id,
+        text: question.text,
+        type: question.type
+      };
+      if (question.retired) {
+        questionResults.retired = true;
+      }
+      
+      switch (question.type) {
+        case 'text':
+          questionResults.responses = responses
+            .map(r => r.data[question.id])
+            .filter(Boolean);
+          questionResults.analysis = analyzeText(questionResults.responses, language);
+          break;
+        
+        case 'single-choice':
+        case 'multiple-choice':
+          const optionCounts = {};
+          question.options.forEach(opt => {
+            optionCounts[opt.id] = opt.retired ? { label: opt.label, count: 0, retired: true } : { label: opt.label, count: 0 };
+          });
+          
+          responses.forEach(r => {
+            const answer = r.data[question.id];
+            if (answer) {
+              if (Array.isArray(answer)) {
+                answer.forEach(a => {
+                  if (optionCounts[a]) optionCounts[a].count++;
+                });
+              } else if (optionCounts[answer]) {
+                optionCounts[answer].count++;
+              }
+            }
+          });
+          
+          // Retired options are only listed while some answers still use them
+          questionResults.options = Object.entries(optionCounts)
+            .filter(([id, data]) => !data.retired || data.count > 0)
+            .map(([id, data]) => ({ id, ...data }));
+          // Respondents, not votes: a multiple-choice answer can count towards several options
+          questionResults.answered = responses.filter(r => hasAnswer(r.data[question.id])).length;
+          break;
+        
+        case 'scale':
+          const scaleValues = responses
+            .map(r => parseInt(r.data[question.id]))
+            .filter(v => !isNaN(v));
+          
+          questionResults.minValue = question.minValue;
+          questionResults.maxValue = question.maxValue;
+          questionResults.values = scaleValues;
+          Object.assign(questionResults, describeScale(scaleValues, question.minValue, question.maxValue));
+          break;
+        
+        case 'ranking': {
+          // A skipped optional ranking is absent or empty and isn't counted
+          const rankings = responses
+            .map(r => r.data[question.id])
+            .filter(r => Array.isArray(r) && r.length > 0);
+          
+          // Average position (1 = best) and first-place votes, best ranked first
+          questionResults.totalRankings = rankings.length;
+          questionResults.options = question.options.map(opt => {
+            const positions = rankings.map(r => r.indexOf(opt.id)).filter(pos => pos >= 0);
+            if (opt.retired && positions.length === 0) return null;
+            return {
+              id: opt.id,
+              label: opt.label,
+              ...(opt.retired && { retired: true }),
+              averageRank: positions.length > 0
+                ? (positions.reduce((a, b) => a + b + 1, 0) / positions.length).toFixed(2)
+                : null,
+              firstPlace: rankings.filter(r => r[0] === opt.id).length
+            };
+          }).filter(Boolean).sort((a, b) => (a.averageRank ?? Infinity) - (b.averageRank ?? Infinity));
+          break;
+        }
+        
+        case 'matrix': {
+          // Per-row distribution across the shared columns; retired rows and columns only while answered
+          const answers = responses.map(r => r.data[question.id]).filter(hasAnswer);
+          const columns = question.columns.filter(col => !col.retired || answers.some(a => Object.values(a).includes(col.id)));
+          const rows = question.rows.filter(row => !row.retired || answers.some(a => hasAnswer(a[row.id])));
+          
+          questionResults.columns = columns.map(col => ({ id: col.id, label: col.label, ...(col.retired && { retired: true }) }));
+          questionResults.rows = rows.map(row => ({
+            id: row.id,
+            label: row.label,
+            ...(row.retired && { retired: true }),
+            columns: columns.map(col => ({
+              id: col.id,
+              label: col.label,
+              count: answers.filter(answer => answer[row.id] === col.id).length
+            }))
+          }));
+          break;
+        }
+        
+        case 'number': {
+          const numbers = responses
+            .map(r => r.data[question.id])
+            .filter(hasAnswer)
+            .map(Number)
+            .filter(v => !isNaN(v));
+          
+          questionResults.values = numbers;
+          questionResults.average = numbers.length > 0
+            ? (numbers.reduce((a, b) => a + b, 0) / numbers.length).toFixed(2)
+            : null;
+          questionResults.min = numbers.length > 0 ? Math.min(...numbers) : null;
+          questionResults.max = numbers.length > 0 ? Math.max(...numbers) : null;
+          break;
+        }
+        
+        case 'date': {
+          const dateCounts = {};
+          responses.forEach(r => {
+            const answer = r.data[question.id];
+            if (hasAnswer(answer)) {
+              dateCounts[answer] = (dateCounts[answer] || 0) + 1;
+            }
+          });
+          
+          questionResults.dates = Object.keys(dateCounts).sort().map(date => ({ date, count: dateCounts[date] }));
+          questionResults.earliest = questionResults.dates.length > 0 ? questionResults.dates[0].date : null;
+          questionResults.latest = questionResults.dates.length > 0
+            ? questionResults.dates[questionResults.dates.length - 1].date
+            : null;
+          break;
+        }
+        
+        case 'nps': {
+          const scores = responses
+            .map(r => r.data[question.id])
+            .filter(hasAnswer)
+            .map(Number)
+            .filter(v => Number.isInteger(v) && v >= 0 && v <= 10);
+          
+          // Promoters score 9-10, passives 7-8, detractors 0-6
+          const promoters = scores.filter(v => v >= 9).length;
+          const detractors = scores.filter(v => v <= 6).length;
+          
+          questionResults.total = scores.length;
+          questionResults.promoters = promoters;
+          questionResults.passives = scores.length - promoters - detractors;
+          questionResults.detractors = detractors;
+          questionResults.score = scores.length > 0
+            ? Math.round(((promoters - detractors) / scores.length) * 100)
+            : null;
+          questionResults.distribution = Array.from({ length: 11 }, (_, value) => ({
+            value,
+            count: scores.filter(v => v === value).length
+          }));
+          break;
+        }
+      }
+      
+      return questionResults;
+    })
+  };
+}
+
+// Export columns for a question: matrix questions get one per row and rankings
+// one per option (holding its rank), everything else a single column. With
+// labels, choices and matrix cells are written as their labels rather than IDs;
+// with optionColumns, multiple-choice answers get a 1/0 column per option.
+function getExportColumns(question, { labels = false, optionColumns = false } = {}) {
+  const itemLabel = item => item.retired ? `${item.label} (retired)` : item.label;
+  const labelFor = (items, id) => {
+    const item = labels && (items || []).find(i => i.id === id);
+    return item ? item.label : id;
+  };
+  const numeric = ['scale', 'number', 'nps', 'ranking'].includes(question.type);
+  
+  switch (question.type) {
+    case 'matrix':
+      return question.rows.map(row => ({
+        header: `${question.text} - ${itemLabel(row)}`,
+        value: data => data[question.id] && labelFor(question.columns, data[question.id][row.id])
+      }));
+    
+    case 'ranking':
+      return question.options.map(opt => ({
+        header: `${question.text} - ${itemLabel(opt)} (rank)`,
+        numeric,
+        value: data => {
+          const ranked = data[question.id];
+          return Array.isArray(ranked) && ranked.includes(opt.id) ? ranked.indexOf(opt.id) + 1 : '';
+        }
+      }));
+    
+    case 'multiple-choice':
+      if (optionColumns) {
+        return question.options.map(opt => ({
+          header: `${question.text} - ${itemLabel(opt)}`,
+          numeric: true,
+          value: data => {
+            const answer = data[question.id];
+            return hasAnswer(answer) ? ([].concat(answer).includes(opt.id) ? 1 : 0) : '';
+          }
+        }));
+      }
+      // Falls through to a single column of IDs or labels
+    case 'single-choice':
+      return [{
+        header: question.text,
+        value: data => {
+          const answer = data[question.id];
+          return Array.isArray(answer) ? answer.map(id => labelFor(question.options, id)) : labelFor(question.options, answer);
+        }
+      }];
+    
+    default:
+      return [{ header: question.text, numeric, value: data => data[question.id] }];
+  }
+}
+
+// Export columns for every reported question; retired questions and options follow the current ones
+function getResponseColumns(survey, responses, options) {
+  return reportingQuestions(survey, responses)
+    .map(q => q.retired ? { ...q, text: `${q.text} (retired)` } : q)
+    .flatMap(q => getExportColumns(q, options));
+}
+
+// ===== EXPORT FORMATS =====
+
+// Columns the CSV export can lead with via ?metadata=, in this order
+const CSV_METADATA_COLUMNS = {
+  id: { header: 'Response ID', value: response => response.id },
+  submittedAt: { header: 'Submitted At', value: response => response.submittedAt },
+  editedAt: { header: 'Edited At', value: response => response.editedAt || '' },
+  version: { header: 'Survey Version', value: response => response.version || 1 },
+  hidden: { header: 'Hidden', value: response => response.hidden ? 'yes' : 'no' },
+  flag: { header: 'Flag', value: response => response.flagReason || '' }
+};
+
+const CSV_DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+
+// Read the CSV export's query options; defaults match the original export
+function parseCsvOptions(query) {
+  const errors = [];
+  const includeHidden = query.includeHidden === 'true';
+  
+  const metadata = query.metadata !== undefined
+    ? String(query.metadata).split(',').map(key => key.trim()).filter(Boolean)
+    : ['id', 'submittedAt', 'version'].concat(includeHidden ? ['hidden', 'flag'] : []);
+  const unknown = metadata.filter(key => !CSV_METADATA_COLUMNS[key]);
+  if (unknown.length > 0) {
+    errors.push(`Unknown metadata column "${unknown[0]}"; use ${Object.keys(CSV_METADATA_COLUMNS).join(', ')}`);
+  }
+  
+  const delimiter = query.delimiter || 'comma';
+  if (!CSV_DELIMITERS[delimiter]) {
+    errors.push(`Delimiter must be one of: ${Object.keys(CSV_DELIMITERS).join(', ')}`);
+  }
+  
+  return {
+    errors,
+    includeHidden,
+    // Kept in a fixed order whatever order they were asked for in
+    metadata: Object.keys(CSV_METADATA_COLUMNS).filter(key => metadata.includes(key)),
+    delimiter: CSV_DELIMITERS[delimiter],
+    labels: query.labels === 'true',
+    optionColumns: query.optionColumns === 'true',
+    bom: query.bom === 'true'
+  };
+}
+
+// Quote a CSV field. Spreadsheet apps run text starting with = + - @ as a formula,
+// so such text (but not negative numbers) gets a leading apostrophe.
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !isFinite(Number(text))) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+// Aggregated results flattened to [question, measure, value] rows for the XLSX summary sheet
+function summaryRows(results) {
+  const rows = [['Question', 'Measure', 'Value']];
+  const percent = (count, total) => total > 0 ? `${((count / total) * 100).toFixed(1)}%` : '0.0%';
+  
+  results.questions.forEach(q => {
+    const text = q.retired ? `${q.text} (retired)` : q.text;
+    const add = (measure, value) => rows.push([text, measure, value === null || value === undefined ? '' : value]);
+    
+    switch (q.type) {
+      case 'text':
+        add('Answers', q.responses.length);
+        add('Average sentiment', q.analysis.sentiment.averageScore);
+        add('Positive / neutral / negative', `${q.analysis.sentiment.positive} / ${q.analysis.sentiment.neutral} / ${q.analysis.sentiment.negative}`);
+        q.analysis.terms.slice(0, 10).forEach(t => add(`Term "${t.term}"`, t.count));
+        break;
+      
+      case 'single-choice':
+      case 'multiple-choice': {
+        const total = q.options.reduce((sum, opt) => sum + opt.count, 0);
+        q.options.forEach(opt => add(`${opt.label} (${percent(opt.count, total)})`, opt.count));
+        break;
+      }
+      
+      case 'scale':
+        add('Average', q.average !== null ? Number(q.average) : null);
+        add('Median', q.median);
+        add('Mode', q.mode.join(', '));
+        add('Standard deviation', q.stdDev !== null ? Number(q.stdDev) : null);
+        if (q.confidenceInterval) {
+          add('95% confidence interval', `${q.confidenceInterval.lower} – ${q.confidenceInterval.upper}`);
+        }
+        q.histogram.forEach(bucket => add(`Rated ${bucket.value}`, bucket.count));
+        break;
+      
+      case 'ranking':
+        q.options.forEach(opt => add(`${opt.label} (average rank)`, opt.averageRank !== null ? Number(opt.averageRank) : null));
+        q.options.forEach(opt => add(`${opt.label} (first place)`, opt.firstPlace));
+        break;
+      
+      case 'matrix':
+        q.rows.forEach(row => row.columns.forEach(col => add(`${row.label}: ${col.label}`, col.count)));
+        break;
+      
+      case 'number':
+        add('Answers', q.values.length);
+        add('Average', q.average !== null ? Number(q.average) : null);
+        add('Minimum', q.min);
+        add('Maximum', q.max);
+        break;
+      
+      case 'date':
+        add('Earliest', q.earliest);
+        add('Latest', q.latest);
+        q.dates.forEach(d => add(d.date, d.count));
+        break;
+      
+      case 'nps':
+        add('NPS', q.score);
+        add('Promoters (9-10)', q.promoters);
+        add('Passives (7-8)', q.passives);
+        add('Detractors (0-6)', q.detractors);
+        break;
+    }
+  });
+  
+  return rows;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal ZIP archive (deflated entries, no directories) for the XLSX container
+function zipFiles(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  
+  files.forEach(({ name, content }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+    
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, compressed);
+    
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+    
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+  
+  const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function xmlEscape(value) {
+  return String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// A1-style column letters: 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Worksheet XML; the first row is bold. Numbers stay numeric, everything else is an inline string.
+function sheetXml(rows) {
+  const rowsXml = rows.map((cells, r) => {
+    const cellsXml = cells.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      const style = r === 0 ? ' s="1"' : '';
+      if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      }
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cellsXml}</row>`;
+  }).join('');
+  
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${rowsXml}</sheetData></worksheet>`;
+}
+
+// XLSX workbook from [{ name, rows }], where rows are arrays of strings and numbers
+function buildXlsx(sheets) {
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+        sheets.map((sheet, i) => `<sheet name="${xmlEscape(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+        '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      // Style 1 is the bold header row
+      name: 'xl/styles.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+    },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: sheetXml(sheet.rows) }))
+  ];
+  
+  return zipFiles(files);
+}
+
+const PDF_COLORS = {
+  bar: '#667eea',
+  track: '#f0f0f0',
+  text: '#333333',
+  muted: '#888888',
+  promoter: '#10b981',
+  passive: '#f59e0b',
+  detractor: '#ef4444'
+};
+
+// Horizontal bar chart: one labelled bar per item, scaled to the largest value
+function drawBarChart(doc, items) {
+  const left = doc.page.margins.left;
+  const labelWidth = 170;
+  const barWidth = doc.page.width - doc.page.margins.right - left - labelWidth - 60;
+  const max = Math.max(1, ...items.map(item => item.value));
+  
+  items.forEach(item => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.fontSize(9).fillColor(PDF_COLORS.text)
+      .text(item.label, left, y + 2, { width: labelWidth - 10, height: 12, ellipsis: true, lineBreak: false });
+    doc.rect(left + labelWidth, y, barWidth, 14).fill(PDF_COLORS.track);
+    if (item.value > 0) {
+      doc.rect(left + labelWidth, y, Math.max(1, barWidth * item.value / max), 14).fill(item.color || PDF_COLORS.bar);
+    }
+    doc.fontSize(9).fillColor(PDF_COLORS.muted)
+      .text(item.display !== undefined ? item.display : String(item.value), left + labelWidth + barWidth + 6, y + 2, { width: 54, lineBreak: false });
+    doc.x = left;
+    doc.y = y + 20;
+  });
+}
+
+// One block per question: a heading, a line of key figures and a chart where the type has one
+function drawQuestionSummary(doc, question) {
+  const left = doc.page.margins.left;
+  const percent = (count, total) => total > 0 ? `${Math.round((count / total) * 100)}%` : '0%';
+  const figures = text => doc.fontSize(10).fillColor(PDF_COLORS.muted).text(text, left).moveDown(0.5);
+  
+  if (doc.y > doc.page.height - 180) {
+    doc.addPage();
+  }
+  doc.fontSize(13).fillColor(PDF_COLORS.text)
+    .text(`${question.text}${question.retired ? ' (retired)' : ''}`, left)
+    .moveDown(0.2);
+  
+  switch (question.type) {
+    case 'text':
+      figures(`${question.responses.length} answer${question.responses.length !== 1 ? 's' : ''}`);
+      if (question.analysis.terms.length > 0) {
+        const { sentiment } = question.analysis;
+        figures(`Sentiment: ${sentiment.positive} positive · ${sentiment.neutral} neutral · ${sentiment.negative} negative`);
+        drawBarChart(doc, question.analysis.terms.slice(0, 8).map(t => ({ label: t.term, value: t.count })));
+      }
+      question.responses.slice(0, 10).forEach(answer => {
+        doc.fontSize(9).fillColor(PDF_COLORS.text).text(`“${answer}”`, left + 10, doc.y, { width: doc.page.width - left * 2 - 10 }).moveDown(0.3);
+      });
+      if (question.responses.length > 10) {
+        figures(`…and ${question.responses.length - 10} more in the CSV or XLSX export`);
+      }
+      break;
+    
+    case 'single-choice':
+    case 'multiple-choice': {
+      const total = question.options.reduce((sum, opt) => sum + opt.count, 0);
+      figures(`${total} selection${total !== 1 ? 's' : ''}`);
+      drawBarChart(doc, question.options.map(opt => ({ label: opt.label, value: opt.count, display: `${opt.count} (${percent(opt.count, total)})` })));
+      break;
+    }
+    
+    case 'scale':
+      figures(question.average !== null
+        ? `Average ${question.average} · median ${question.median} · mode ${question.mode.join(', ')}${question.stdDev !== null ? ` · SD ${question.stdDev}` : ''}`
+        : 'No answers yet');
+      drawBarChart(doc, question.histogram.map(bucket => ({ label: String(bucket.value), value: bucket.count, display: `${bucket.count} (${bucket.percentage}%)` })));
+      break;
+    
+    case 'ranking':
+      figures(`${question.totalRankings} ranking${question.totalRankings !== 1 ? 's' : ''}; shorter bars rank higher`);
+      drawBarChart(doc, question.options.map(opt => ({
+        label: opt.label,
+        value: opt.averageRank !== null ? Number(opt.averageRank) : 0,
+        display: opt.averageRank !== null ? `avg ${opt.averageRank}` : '—'
+      })));
+      break;
+    
+    case 'matrix':
+      question.rows.forEach(row => {
+        const rowTotal = row.columns.reduce((sum, col) => sum + col.count, 0);
+        figures(row.label);
+        drawBarChart(doc, row.columns.map(col => ({ label: col.label, value: col.count, display: `${col.count} (${percent(col.count, rowTotal)})` })));
+      });
+      break;
+    
+    case 'number':
+      figures(question.average !== null
+        ? `${question.values.length} answers · average ${question.average} · min ${question.min} · max ${question.max}`
+        : 'No answers yet');
+      break;
+    
+    case 'date':
+      figures(question.earliest ? `From ${question.earliest} to ${question.latest}` : 'No answers yet');
+      drawBarChart(doc, question.dates.slice(0, 15).map(d => ({ label: d.date, value: d.count })));
+      break;
+    
+    case 'nps':
+      figures(question.score !== null
+        ? `NPS ${question.score} · ${question.promoters} promoters · ${question.passives} passives · ${question.detractors} detractors`
+        : 'No answers yet');
+      drawBarChart(doc, question.distribution.map(d => ({
+        label: String(d.value),
+        value: d.count,
+        color: d.value >= 9 ? PDF_COLORS.promoter : d.value >= 7 ? PDF_COLORS.passive : PDF_COLORS.detractor
+      })));
+      break;
+  }
+  
+  doc.moveDown(1);
+}
+
+// Stream a printable summary of the aggregated results
+function writePdfReport(survey, results, output) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${survey.title} – results` } });
+  doc.pipe(output);
+  
+  doc.fontSize(20).fillColor(PDF_COLORS.text).text(survey.title);
+  if (survey.description) {
+    doc.moveDown(0.3).fontSize(11).fillColor(PDF_COLORS.muted).text(survey.description);
+  }
+  doc.moveDown(0.5).fontSize(10).fillColor(PDF_COLORS.muted)
+    .text(`${results.totalResponses} response${results.totalResponses !== 1 ? 's' : ''} · generated ${new Date().toLocaleString()}`);
+  doc.moveDown(1.5);
+  
+  results.questions.forEach(question => drawQuestionSummary(doc, question));
+  doc.end();
+}
+
+// Push the latest aggregated results to every open stream for a survey
+function broadcastResults(survey) {
+  const clients = streamClients[survey.id];
+  if (!clients || clients.size === 0) return;
+  
+  // Aggregate once and share the payload across all viewers
+  const results = aggregateResults(survey);
+  const payloads = {
+    full: `event: results\ndata: ${JSON.stringify(results)}\n\n`,
+    public: `event: results\ndata: ${JSON.stringify(publicResults(survey, results))}\n\n`
+  };
+  clients.forEach(client => {
+    // Settings may have changed since the client connected
+    client.access = getResultsAccess(survey, client.req);
+    if (client.access) {
+      client.res.write(payloads[client.access]);
+    } else {
+      client.res.end();
+      clients.delete(client);
+    }
+  });
+}
+
+// ===== PRESENTATION =====
+
+// activeQuestionId: the question on the presenter screen
+// followAlong: respondents see and answer only that question
+const PRESENTATION_DEFAULTS = {
+  activeQuestionId: null,
+  followAlong: false
+};
+
+// Open presentation streams (presenter screens and respondents following along), keyed by survey ID
+const presentationClients = {};
+
+// Presentation state as sent to presenter screens and respondents, with the active question's definition
+function presentationState(survey) {
+  const question = survey.questions.find(q => q.id === survey.presentation.activeQuestionId) || null;
+  const answerable = survey.questions.filter(q => !isSection(q));
+  return {
+    ...survey.presentation,
+    question,
+    position: question ? answerable.indexOf(question) + 1 : 0,
+    questionCount: answerable.length
+  };
+}
+
+// Answers to keep when a respondent following the presenter submits: their earlier answers,
+// with only the active question's answer taken from the request body
+function followAlongAnswers(survey, previous, body) {
+  const questionId = survey.presentation.activeQuestionId;
+  const { [questionId]: replaced, ...data } = previous;
+  if (hasAnswer(body[questionId])) {
+    data[questionId] = body[questionId];
+  }
+  return data;
+}
+
+// Send the presentation state to every open presentation stream for a survey
+function broadcastPresentation(survey) {
+  const clients = presentationClients[survey.id];
+  if (!clients || clients.size === 0) return;
+  
+  const payload = `event: presentation\ndata: ${JSON.stringify(presentationState(survey))}\n\n`;
+  clients.forEach(res => res.write(payload));
+}
+
+// ===== WEBHOOKS =====
+
+// Wait before each retry of a failed delivery; after the last one the delivery is marked failed
+const WEBHOOK_RETRY_DELAYS = [5000, 30000, 2 * 60 * 1000, 10 * 60 * 1000];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_WEBHOOKS = 5;
+// Deliveries kept per survey for the admin delivery log, newest first
+const WEBHOOK_LOG_LIMIT = 50;
+
+// The webhook target as a normalised http(s) URL, or null
+function parseWebhookUrl(value) {
+  if (typeof value !== 'string') return null;
+  try {
+    const url = new URL(value.trim());
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// A webhook as listed in the admin page; the secret is never sent back
+function webhookView({ secret, ...webhook }) {
+  return { ...webhook, hasSecret: Boolean(secret) };
+}
+
+// The JSON body receivers get for a new response, with answers labelled like the XLSX export
+function webhookPayload(survey, event, response, deliveryId) {
+  return {
+    id: deliveryId,
+    event,
+    createdAt: new Date().toISOString(),
+    survey: { id: survey.id, title: survey.title, version: survey.version },
+    response: {
+      id: response.id,
+      submittedAt: response.submittedAt,
+      version: response.version || 1,
+      data: response.data,
+      answers: getResponseColumns(survey, [response], { labels: true })
+        .map(column => ({ question: column.header, value: column.value(response.data) ?? null }))
+    }
+  };
+}
+
+// Hex HMAC-SHA256 of the raw body, sent as X-SaySomething-Signature: sha256=<hex>
+function signWebhookBody(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// POST a JSON body and resolve with the status code; rejects on network errors and timeouts
+function postWebhook(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'SaySomething-Webhooks/1',
+        ...headers
+      },
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, response => {
+      // Only the status matters; drain the body so the socket is released
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+    request.on('timeout', () => request.destroy(new Error(`No response after ${WEBHOOK_TIMEOUT_MS / 1000}s`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Make one delivery attempt and schedule a retry if it fails
+async function attemptDelivery(survey, delivery, body) {
+  const webhook = survey.webhooks.find(w => w.id === delivery.webhookId);
+  if (!webhook) {
+    delivery.status = 'cancelled';
+    delivery.nextAttemptAt = null;
+    return;
+  }
+  
+  const headers = {
+    'X-SaySomething-Event': delivery.event,
+    'X-SaySomething-Delivery': delivery.id,
+    'X-SaySomething-Attempt': String(delivery.attempts.length + 1)
+  };
+  if (webhook.secret) {
+    headers['X-SaySomething-Signature'] = `sha256=${signWebhookBody(webhook.secret, body)}`;
+  }
+  
+  const started = Date.now();
+  const attempt = { at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: 0 };
+  try {
+    attempt.statusCode = await postWebhook(webhook.url, body, headers);
+    if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+      attempt.error = `Receiver answered ${attempt.statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+  
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+    return;
+  }
+  
+  const delay = WEBHOOK_RETRY_DELAYS[delivery.attempts.length - 1];
+  if (delay === undefined) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.warn(`Webhook delivery ${delivery.id} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+    return;
+  }
+  
+  delivery.status = 'retrying';
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  setTimeout(() => attemptDelivery(survey, delivery, body), delay).unref();
+}
+
+// Queue a delivery of an event to one webhook and log it on the survey
+function deliverWebhook(survey, webhook, event, response) {
+  const delivery = {
+    id: `delivery_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    webhookId: webhook.id,
+    url: webhook.url,
+    event,
+    responseId: response.id,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    attempts: []
+  };
+  
+  survey.webhookDeliveries.unshift(delivery);
+  survey.webhookDeliveries.length = Math.min(survey.webhookDeliveries.length, WEBHOOK_LOG_LIMIT);
+  
+  const body = JSON.stringify(webhookPayload(survey, event, response, delivery.id));
+  attemptDelivery(survey, delivery, body);
+  return delivery;
+}
+
+// Send an event to every webhook configured on the survey, without holding up the caller
+function dispatchWebhooks(survey, event, response) {
+  survey.webhooks.forEach(webhook => deliverWebhook(survey, webhook, event, response));
+}
+
+// ===== API ROUTES =====
+
+// Create a new survey
+app.post('/api/surveys', (req, res) => {
+  try {
+    const { title, description, questions, settings } = req.body;
+    
+    // At least one real question; page breaks alone make an empty survey
+    if (!title || !questions || !Array.isArray(questions) || questions.every(isSection)) {
+      return res.status(400).json({ error: 'Invalid survey data' });
+    }
+    
+    const settingsErrors = validateSettings(settings || {}).concat(validateLifecycle(req.body));
+    if (settingsErrors.length > 0) {
+      return res.status(400).json({ error: settingsErrors.join(', ') });
+    }
+    
+    // Same ID rules as editing, checked against an empty history
+    const normalizedQuestions = assignStableIds(questions);
+    
+    const questionErrors = validateQuestions(normalizedQuestions)
+      .concat(validateStableIds({ schemaHistory: [], questions: [] }, normalizedQuestions));
+    if (questionErrors.length > 0) {
+      return res.status(400).json({ error: questionErrors.join(', ') });
+    }
+    
+    // Skip IDs already taken by surveys seeded from survey-data.js
+    let surveyId = generateId();
+    while (store.surveys[surveyId]) {
+      surveyId = generateId();
+    }
+    
+    const survey = {
+      id: surveyId,
+      title,
+      description: description || '',
+      questions: normalizedQuestions,
+      responses: [],
+      createdAt: new Date().toISOString(),
+      adminToken: generateToken(),
+      shareTokens: [],
+      settings: normalizeSettings(settings),
+      ...pickLifecycle(req.body),
+      inviteCodes: [],
+      blockedSubmissions: { ...EMPTY_BLOCKED_COUNTS },
+      version: 1,
+      schemaHistory: [],
+      webhooks: [],
+      webhookDeliveries: [],
+      presentation: { ...PRESENTATION_DEFAULTS }
+    };
+    
+    store.surveys[surveyId] = survey;
+    console.log(`Survey created: ${surveyId}`);
+    
+    res.json({
+      id: surveyId,
+      adminToken: survey.adminToken,
+      clientUrl: `${req.protocol}://${req.get('host')}/survey/${surveyId}`,
+      adminUrl: `${req.protocol}://${req.get('host')}/admin/${surveyId}?token=${survey.adminToken}`
+    });
+  } catch (error) {
+    console.error('Survey creation error:', error);
+    res.status(500).json({ error: 'Failed to create survey' });
+  }
+});
+
+// List every survey in the pod (requires the index token)
+app.get('/api/surveys', (req, res) => {
+  try {
+    if (!tokensMatch(getRequestToken(req), store.indexToken)) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const surveys = Object.values(store.surveys)
+      .map(survey => ({
+        id: survey.id,
+        title: survey.title,
+        description: survey.description,
+        createdAt: survey.createdAt,
+        updatedAt: survey.updatedAt || null,
+        questionCount: survey.questions.filter(q => !isSection(q)).length,
+        responseCount: survey.responses.length,
+        state: getSurveyState(survey),
+        adminToken: survey.adminToken
+      }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    
+    res.json({ surveys });
+  } catch (error) {
+    console.error('Survey list error:', error);
+    res.status(500).json({ error: 'Failed to list surveys' });
+  }
+});
+
+// Every survey in full, secrets included, so the host page can restart the pod with the same data (index token only)
+app.get('/api/state', (req, res) => {
+  try {
+    if (!tokensMatch(getRequestToken(req), store.indexToken)) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    res.json({
+      indexToken: store.indexToken,
+      surveys: Object.values(store.surveys).map(surveyStateRecord)
+    });
+  } catch (error) {
+    console.error('State export error:', error);
+    res.status(500).json({ error: 'Failed to export state' });
+  }
+});
+
+// Update existing survey (admin only)
+app.put('/api/surveys/:surveyId', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    // Only editors may change the survey
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const { title, description, questions, settings } = req.body;
+    
+    if (!title || !questions || !Array.isArray(questions) || questions.every(isSection)) {
+      return res.status(400).json({ error: 'Invalid survey data' });
+    }
+    
+    const settingsErrors = validateSettings(settings || {});
+    if (settingsErrors.length > 0) {
+      return res.status(400).json({ error: settingsErrors.join(', ') });
+    }
+    
+    // Existing IDs are kept so earlier answers stay attached to the right question and option
+    const normalizedQuestions = assignStableIds(questions);
+    
+    const questionErrors = validateQuestions(normalizedQuestions).concat(validateStableIds(survey, normalizedQuestions));
+    if (questionErrors.length > 0) {
+      return res.status(400).json({ error: questionErrors.join(', ') });
+    }
+    
+    // Update survey while preserving responses and metadata
+    survey.title = title;
+    survey.description = description || '';
+    if (JSON.stringify(normalizedQuestions) !== JSON.stringify(survey.questions)) {
+      survey.schemaHistory.push({
+        version: survey.version,
+        questions: survey.questions,
+        replacedAt: new Date().toISOString()
+      });
+      survey.version++;
+    }
+    survey.questions = normalizedQuestions;
+    if (settings) {
+      survey.settings = normalizeSettings({ ...survey.settings, ...settings });
+    }
+    survey.updatedAt = new Date().toISOString();
+    if (!survey.questions.some(q => q.id === survey.presentation.activeQuestionId && !isSection(q))) {
+      survey.presentation.activeQuestionId = null;
+    }
+    broadcastResults(survey);
+    broadcastPresentation(survey);
+    
+    res.json({ 
+      success: true,
+      message: 'Survey updated successfully',
+      survey: {
+        id: survey.id,
+        title: survey.title,
+        description: survey.description,
+        questions: survey.questions,
+        settings: survey.settings,
+        version: survey.version
+      }
+    });
+  } catch (error) {
+    console.error('Survey update error:', error);
+    res.status(500).json({ error: 'Failed to update survey' });
+  }
+});
+
+// Get survey details (client view)
+app.get('/api/surveys/:surveyId', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    // Return survey without responses, tokens or invite codes
+    const { responses, adminToken, shareTokens, inviteCodes, blockedSubmissions, schemaHistory, webhooks, webhookDeliveries, ...surveyData } = survey;
+    res.json({ ...surveyData, state: getSurveyState(survey) });
+  } catch (error) {
+    console.error('Fetch survey error:', error);
+    res.status(500).json({ error: 'Failed to fetch survey' });
+  }
+});
+
+// Get survey with admin token (admin view)
+app.get('/api/surveys/:surveyId/admin', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    const role = getTokenRole(survey, getRequestToken(req));
+    if (!role) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    // Viewers get the survey definition only: no raw responses, tokens or webhooks
+    if (role === 'viewer') {
+      const { responses, adminToken, shareTokens, inviteCodes, webhooks, webhookDeliveries, ...surveyData } = survey;
+      return res.json({ ...surveyData, role, state: getSurveyState(survey) });
+    }
+    
+    // Editor links get webhooks and responses as the admin page lists them, without secrets
+    res.json({
+      ...survey,
+      responses: survey.responses.map(adminResponseView),
+      webhooks: survey.webhooks.map(webhookView),
+      role,
+      state: getSurveyState(survey)
+    });
+  } catch (error) {
+    console.error('Admin fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch survey' });
+  }
+});
+
+// Open, close or schedule a survey and set its response quota (editor only)
+app.put('/api/surveys/:surveyId/lifecycle', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const errors = validateLifecycle(req.body, survey);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+    
+    Object.keys(LIFECYCLE_DEFAULTS).forEach(key => {
+      if (req.body[key] !== undefined) {
+        survey[key] = req.body[key];
+      }
+    });
+    survey.updatedAt = new Date().toISOString();
+    
+    // Closing may unlock "public after close" results
+    broadcastResults(survey);
+    
+    res.json({ ...pickLifecycle(survey), state: getSurveyState(survey) });
+  } catch (error) {
+    console.error('Lifecycle update error:', error);
+    res.status(500).json({ error: 'Failed to update survey status' });
+  }
+});
+
+// Pick the question shown on presenter screens and whether respondents follow along (editor only)
+app.put('/api/surveys/:surveyId/presentation', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const { activeQuestionId, followAlong } = req.body;
+    
+    if (activeQuestionId !== undefined && activeQuestionId !== null &&
+        !survey.questions.some(q => q.id === activeQuestionId && !isSection(q))) {
+      return res.status(400).json({ error: 'Active question must be one of the survey\'s questions' });
+    }
+    
+    if (followAlong !== undefined && typeof followAlong !== 'boolean') {
+      return res.status(400).json({ error: 'followAlong must be true or false' });
+    }
+    
+    Object.keys(PRESENTATION_DEFAULTS).forEach(key => {
+      if (req.body[key] !== undefined) {
+        survey.presentation[key] = req.body[key];
+      }
+    });
+    
+    broadcastPresentation(survey);
+    
+    res.json(presentationState(survey));
+  } catch (error) {
+    console.error('Presentation update error:', error);
+    res.status(500).json({ error: 'Failed to update presentation' });
+  }
+});
+
+// Stream the presentation state (Server-Sent Events); public, like the survey itself
+app.get('/api/surveys/:surveyId/presentation/stream', (req, res) => {
+  const survey = store.surveys[req.params.surveyId];
+  
+  if (!survey) {
+    return res.status(404).json({ error: 'Survey not found' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  res.write('retry: 3000\n\n');
+  res.write(`event: presentation\ndata: ${JSON.stringify(presentationState(survey))}\n\n`);
+  
+  if (!presentationClients[survey.id]) {
+    presentationClients[survey.id] = new Set();
+  }
+  presentationClients[survey.id].add(res);
+  
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+  
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    presentationClients[survey.id].delete(res);
+  });
+});
+
+// List invite codes (editor only)
+app.get('/api/surveys/:surveyId/invites', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    res.json({ invites: survey.inviteCodes });
+  } catch (error) {
+    console.error('Invite list error:', error);
+    res.status(500).json({ error: 'Failed to list invite codes' });
+  }
+});
+
+// Generate single-use invite codes (editor only)
+app.post('/api/surveys/:surveyId/invites', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const count = req.body.count === undefined ? 1 : req.body.count;
+    if (!Number.isInteger(count) || count < 1 || count > 500) {
+      return res.status(400).json({ error: 'count must be a whole number from 1 to 500' });
+    }
+    
+    const existing = new Set(survey.inviteCodes.map(i => i.code));
+    const created = [];
+    while (created.length < count) {
+      const code = generateInviteCode();
+      if (existing.has(code)) continue;
+      existing.add(code);
+      created.push({ code, createdAt: new Date().toISOString(), usedAt: null, responseId: null });
+    }
+    
+    survey.inviteCodes.push(...created);
+    res.json({ invites: created });
+  } catch (error) {
+    console.error('Invite creation error:', error);
+    res.status(500).json({ error: 'Failed to create invite codes' });
+  }
+});
+
+// List share tokens (editor only)
+app.get('/api/surveys/:surveyId/tokens', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    res.json({ tokens: survey.shareTokens });
+  } catch (error) {
+    console.error('Token list error:', error);
+    res.status(500).json({ error: 'Failed to list tokens' });
+  }
+});
+
+// Create a scoped share token, e.g. a read-only link for stakeholders (editor only)
+app.post('/api/surveys/:surveyId/tokens', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const { role, label } = req.body;
+    
+    if (!TOKEN_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${TOKEN_ROLES.join(', ')}` });
+    }
+    
+    const shareToken = {
+      id: `token_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      token: generateToken(),
+      role,
+      label: typeof label === 'string' ? label.trim().substring(0, 100) : '',
+      createdAt: new Date().toISOString()
+    };
+    
+    survey.shareTokens.push(shareToken);
+    
+    res.json({
+      ...shareToken,
+      adminUrl: `${req.protocol}://${req.get('host')}/admin/${survey.id}?token=${shareToken.token}`
+    });
+  } catch (error) {
+    console.error('Token creation error:', error);
+    res.status(500).json({ error: 'Failed to create token' });
+  }
+});
+
+// Revoke a share token (editor only)
+app.delete('/api/surveys/:surveyId/tokens/:tokenId', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const index = survey.shareTokens.findIndex(t => t.id === req.params.tokenId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    
+    survey.shareTokens.splice(index, 1);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Token revocation error:', error);
+    res.status(500).json({ error: 'Failed to revoke token' });
+  }
+});
+
+// Replace the admin token; links using the old one stop working (admin token only)
+app.post('/api/surveys/:surveyId/tokens/rotate', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!tokensMatch(getRequestToken(req), survey.adminToken)) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    survey.adminToken = generateToken();
+    
+    res.json({
+      adminToken: survey.adminToken,
+      adminUrl: `${req.protocol}://${req.get('host')}/admin/${survey.id}?token=${survey.adminToken}`
+    });
+  } catch (error) {
+    console.error('Token rotation error:', error);
+    res.status(500).json({ error: 'Failed to rotate token' });
+  }
+});
+
+// List webhooks and their recent deliveries (editor only)
+app.get('/api/surveys/:surveyId/webhooks', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    res.json({
+      webhooks: survey.webhooks.map(webhookView),
+      deliveries: survey.webhookDeliveries
+    });
+  } catch (error) {
+    console.error('Webhook list error:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+// Add a webhook that is POSTed every new response, optionally signed with a shared secret (editor only)
+app.post('/api/surveys/:surveyId/webhooks', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const { url, secret } = req.body;
+    const webhookUrl = parseWebhookUrl(url);
+    
+    if (!webhookUrl) {
+      return res.status(400).json({ error: 'Webhook URL must be an http:// or https:// address' });
+    }
+    
+    if (secret !== undefined && secret !== null && typeof secret !== 'string') {
+      return res.status(400).json({ error: 'Webhook secret must be a string' });
+    }
+    
+    if (survey.webhooks.length >= MAX_WEBHOOKS) {
+      return res.status(400).json({ error: `A survey can have at most ${MAX_WEBHOOKS} webhooks` });
+    }
+    
+    const webhook = {
+      id: `webhook_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      url: webhookUrl,
+      secret: secret ? secret.trim() : '',
+      createdAt: new Date().toISOString()
+    };
+    
+    survey.webhooks.push(webhook);
+    res.json(webhookView(webhook));
+  } catch (error) {
+    console.error('Webhook creation error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Remove a webhook; pending retries to it are cancelled (editor only)
+app.delete('/api/surveys/:surveyId/webhooks/:webhookId', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const index = survey.webhooks.findIndex(w => w.id === req.params.webhookId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    survey.webhooks.splice(index, 1);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Webhook removal error:', error);
+    res.status(500).json({ error: 'Failed to remove webhook' });
+  }
+});
+
+// Send a sample response to one webhook so the receiver can be checked (editor only)
+app.post('/api/surveys/:surveyId/webhooks/:webhookId/test', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const webhook = survey.webhooks.find(w => w.id === req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const sample = {
+      id: 'response_test',
+      data: {},
+      submittedAt: new Date().toISOString(),
+      version: survey.version
+    };
+    
+    res.json(deliverWebhook(survey, webhook, 'ping', sample));
+  } catch (error) {
+    console.error('Webhook test error:', error);
+    res.status(500).json({ error: 'Failed to send test delivery' });
+  }
+});
+
+// Submit a response
+app.post('/api/surveys/:surveyId/responses', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    const state = getSurveyState(survey);
+    if (state.status !== 'open') {
+      return res.status(403).json({ error: CLOSED_MESSAGES[state.reason], closed: true, state });
+    }
+    
+    const duplicate = checkDuplicate(survey, req);
+    if (duplicate) {
+      survey.blockedSubmissions[duplicate.kind]++;
+      return res.status(duplicate.status).json({ error: duplicate.error, blocked: duplicate.kind });
+    }
+    
+    const following = survey.presentation.followAlong;
+    if (following && !survey.presentation.activeQuestionId) {
+      return res.status(409).json({ error: 'Wait for the presenter to open a question', waiting: true });
+    }
+    
+    const data = following ? followAlongAnswers(survey, {}, req.body) : req.body;
+    const errors = validateResponse(survey, data, { requireOnly: following ? survey.presentation.activeQuestionId : null });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+    
+    const response = {
+      id: `response_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      data,
+      submittedAt: new Date().toISOString(),
+      version: survey.version,
+      respondentToken: generateToken(),
+      editToken: generateToken(),
+      editedAt: null,
+      history: []
+    };
+    
+    survey.responses.push(response);
+    
+    if (survey.settings.requireInviteCode) {
+      const code = getInviteCode(req);
+      const invite = survey.inviteCodes.find(i => tokensMatch(code, i.code));
+      invite.usedAt = response.submittedAt;
+      invite.responseId = response.id;
+    }
+    recentSubmissions(survey, getClientIp(req)).push(Date.now());
+    res.cookie(respondedCookieName(survey), signValue(response.id), {
+      httpOnly: true,
+      sameSite: 'lax',
+      maxAge: 365 * 24 * 60 * 60 * 1000
+    });
+    
+    broadcastResults(survey);
+    dispatchWebhooks(survey, 'response.created', response);
+    
+    res.json({
+      success: true,
+      responseId: response.id,
+      respondentToken: response.respondentToken,
+      editToken: response.editToken
+    });
+  } catch (error) {
+    console.error('Response submission error:', error);
+    res.status(500).json({ error: 'Failed to submit response' });
+  }
+});
+
+// The response the request's edit token unlocks, or null
+function findEditableResponse(survey, req) {
+  const response = survey.responses.find(r => r.id === req.params.responseId);
+  const token = req.get('X-Edit-Token') || req.query.edit;
+  return response && token && tokensMatch(token, response.editToken) ? response : null;
+}
+
+// A response as shown in the admin response browser, without its secrets
+function adminResponseView({ respondentToken, editToken, ...response }) {
+  return {
+    ...response,
+    hidden: Boolean(response.hidden),
+    flagReason: response.flagReason || null,
+    history: response.history || []
+  };
+}
+
+const RESPONSE_LIST_STATUSES = ['all', 'visible', 'hidden'];
+
+// List responses for the admin response browser, newest first (editor only)
+app.get('/api/surveys/:surveyId/responses', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const status = req.query.status || 'all';
+    if (!RESPONSE_LIST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${RESPONSE_LIST_STATUSES.join(', ')}` });
+    }
+    const page = parseInt(req.query.page, 10) || 1;
+    const pageSize = Math.min(parseInt(req.query.pageSize, 10) || 20, 100);
+    if (page < 1 || pageSize < 1) {
+      return res.status(400).json({ error: 'page and pageSize must be positive numbers' });
+    }
+    
+    const matching = survey.responses
+      .filter(r => status === 'all' || (status === 'hidden') === Boolean(r.hidden))
+      .slice()
+      .reverse();
+    
+    res.json({
+      responses: matching.slice((page - 1) * pageSize, page * pageSize).map(adminResponseView),
+      page,
+      pageSize,
+      total: matching.length,
+      totalPages: Math.max(1, Math.ceil(matching.length / pageSize)),
+      hiddenCount: survey.responses.filter(r => r.hidden).length
+    });
+  } catch (error) {
+    console.error('Response list error:', error);
+    res.status(500).json({ error: 'Failed to list responses' });
+  }
+});
+
+// Load one response: editors get the full record, edit token holders their answers
+app.get('/api/surveys/:surveyId/responses/:responseId', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (hasRole(survey, req, 'editor')) {
+      const stored = survey.responses.find(r => r.id === req.params.responseId);
+      if (!stored) {
+        return res.status(404).json({ error: 'Response not found' });
+      }
+      return res.json(adminResponseView(stored));
+    }
+    
+    const response = findEditableResponse(survey, req);
+    if (!response) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    res.json({
+      id: response.id,
+      data: response.data,
+      submittedAt: response.submittedAt,
+      editedAt: response.editedAt,
+      editCount: response.history.length
+    });
+  } catch (error) {
+    console.error('Response fetch error:', error);
+    res.status(500).json({ error: 'Failed to load response' });
+  }
+});
+
+// Revise a response (edit token holder only); the replaced answers are kept in its history
+app.put('/api/surveys/:surveyId/responses/:responseId', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    const response = findEditableResponse(survey, req);
+    if (!response) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    // A full quota doesn't stop people correcting answers they already gave
+    const state = getSurveyState(survey);
+    if (state.status !== 'open' && state.reason !== 'quota') {
+      return res.status(403).json({ error: CLOSED_MESSAGES[state.reason], closed: true, state });
+    }
+    
+    // Respondents following the presenter add or change one answer at a time
+    const following = survey.presentation.followAlong;
+    if (following && !survey.presentation.activeQuestionId) {
+      return res.status(409).json({ error: 'Wait for the presenter to open a question', waiting: true });
+    }
+    
+    const data = following ? followAlongAnswers(survey, response.data, req.body) : req.body;
+    const errors = validateResponse(survey, data, { requireOnly: following ? survey.presentation.activeQuestionId : null });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+    
+    // Answering the next live question isn't an edit; changing an answer already given is
+    if (!following || hasAnswer(response.data[survey.presentation.activeQuestionId])) {
+      const editedAt = new Date().toISOString();
+      response.history = response.history || [];
+      response.history.push({ data: response.data, replacedAt: editedAt });
+      response.editedAt = editedAt;
+    }
+    response.data = data;
+    response.version = survey.version;
+    
+    broadcastResults(survey);
+    
+    res.json({ success: true, responseId: response.id, editedAt: response.editedAt });
+  } catch (error) {
+    console.error('Response edit error:', error);
+    res.status(500).json({ error: 'Failed to update response' });
+  }
+});
+
+// Flag and/or hide a response (editor only); hidden responses drop out of results
+app.patch('/api/surveys/:surveyId/responses/:responseId', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const response = survey.responses.find(r => r.id === req.params.responseId);
+    if (!response) {
+      return res.status(404).json({ error: 'Response not found' });
+    }
+    
+    const { hidden, flagReason } = req.body;
+    if (hidden !== undefined && typeof hidden !== 'boolean') {
+      return res.status(400).json({ error: 'hidden must be true or false' });
+    }
+    if (flagReason !== undefined && flagReason !== null &&
+        (typeof flagReason !== 'string' || flagReason.length > 200)) {
+      return res.status(400).json({ error: 'flagReason must be text of at most 200 characters' });
+    }
+    
+    if (hidden !== undefined) response.hidden = hidden;
+    if (flagReason !== undefined) response.flagReason = flagReason ? flagReason.trim() : null;
+    
+    broadcastResults(survey);
+    
+    res.json(adminResponseView(response));
+  } catch (error) {
+    console.error('Response moderation error:', error);
+    res.status(500).json({ error: 'Failed to update response' });
+  }
+});
+
+// Delete a response (editor only)
+app.delete('/api/surveys/:surveyId/responses/:responseId', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
+    }
+    
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const index = survey.responses.findIndex(r => r.id === req.params.responseId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Response not found' });
+    }
+    
+    // Free the invite code the response used; the respondent's cookie and token lapse with the response
+    const [deleted] = survey.responses.splice(index, 1);
+    const invite = survey.inviteCodes.find(i => i.responseId === deleted.id);
+    if (invite) {
+      invite.usedAt = null;
+      invite.responseId = null;
+    }
+    broadcastResults(survey);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Response deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete response' });
   }
-}
+});
 
-// Validate survey response based on survey config
-function validateResponse(survey, response) {
-  const errors = [];
-  
-  for (const question of survey.questions) {
-    const answer = response[question.id];
+// Get aggregated results
+app.get('/api/surveys/:surveyId/results', (req, res) => {
+  try {
+    const survey = store.surveys[req.params.surveyId];
     
-    if (question.required && !answer) {
-      errors.push(`Question "${question.text}" is required`);
-      continue;
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
     }
     
-    switch (question.type) {
-      case 'text':
-        if (answer && typeof answer !== 'string') {
-          errors.push(`Question "${question.text}" must be text`);
-        }
-        if (answer && answer.length > 5000) {
-          errors.push(`Question "${question.text}" response too long (max 5000 chars)`);
-        }
-        break;
-      
-      case 'multiple-choice':
-      case 'single-choice':
-        if (answer) {
-          const validOptions = question.options.map(opt => opt.id);
-          if (Array.isArray(answer)) {
-            if (!answer.every(a => validOptions.includes(a))) {
-              errors.push(`Invalid option selected for "${question.text}"`);
-            }
-          } else if (!validOptions.includes(answer)) {
-            errors.push(`Invalid option selected for "${question.text}"`);
-          }
-        }
-        break;
-      
-      case 'scale':
-        if (answer) {
-          const num = parseInt(answer);
-          if (isNaN(num) || num < question.minValue || num > question.maxValue) {
-            errors.push(`Scale answer for "${question.text}" must be between ${question.minValue} and ${question.maxValue}`);
-          }
-        }
-        break;
+    if (getRequestToken(req) && !hasRole(survey, req, 'viewer')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const access = getResultsAccess(survey, req);
+    if (!access) {
+      return sendResultsLocked(res, survey);
+    }
+    
+    const present = results => access === 'full' ? results : publicResults(survey, results);
+    
+    const language = textLanguage(survey, req.query);
+    if (!language) {
+      return res.status(400).json({ error: `language must be one of: ${Object.keys(TEXT_LANGUAGES).join(', ')}` });
+    }
+    
+    if (!isFiltered(req.query)) {
+      return res.json(present(aggregateResults(survey, undefined, { language })));
+    }
+    
+    const filterErrors = validateFilters(survey, req.query);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({ error: filterErrors.join(', ') });
     }
+    
+    res.json({
+      ...present(aggregateResults(survey, filterResponses(survey, req.query), { language })),
+      filtered: true,
+      unfilteredResponses: visibleResponses(survey).length
+    });
+  } catch (error) {
+    console.error('Results fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch results' });
   }
-  
-  return errors;
-}
+});
 
-// ===== API ROUTES =====
+const SENTIMENT_LABELS = ['positive', 'neutral', 'negative'];
 
-// Create a new survey
-app.post('/api/surveys', (req, res) => {
+// Page through a text question's answers, newest first, with each answer's sentiment;
+// ?search= matches text, ?sentiment= keeps one label, and result filters apply
+app.get('/api/surveys/:surveyId/questions/:questionId/answers', (req, res) => {
   try {
-    // If a survey already exists (pre-populated from parent), reject new creation
-    if (app.locals.currentSurveyId) {
-      return res.status(409).json({ 
-        error: 'A survey is already active in this environment',
-        surveyId: app.locals.currentSurveyId
-      });
+    const survey = store.surveys[req.params.surveyId];
+    
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
     }
     
-    const { title, description, questions } = req.body;
+    if (getRequestToken(req) && !hasRole(survey, req, 'viewer')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
     
-    if (!title || !questions || !Array.isArray(questions) || questions.length === 0) {
-      return res.status(400).json({ error: 'Invalid survey data' });
+    const access = getResultsAccess(survey, req);
+    if (!access) {
+      return sendResultsLocked(res, survey);
     }
     
-    const surveyId = generateId();
-    const survey = {
-      id: surveyId,
-      title,
-      description: description || '',
-      questions: questions.map((q, idx) => ({
-        ...q,
-        id: q.id || `q_${idx}`
-      })),
-      responses: [],
-      createdAt: new Date().toISOString(),
-      adminToken: Math.random().toString(36).substring(2, 15)
-    };
+    const question = reportingQuestions(survey, survey.responses).find(q => q.id === req.params.questionId);
+    if (!question || question.type !== 'text') {
+      return res.status(404).json({ error: 'Text question not found' });
+    }
     
-    store.surveys[surveyId] = survey;
-    app.locals.currentSurveyId = surveyId;
-    app.locals.currentSurveyAdminToken = survey.adminToken;
+    if (access !== 'full' && survey.settings.hideTextInPublicResults) {
+      return res.status(403).json({ error: 'Free-text answers are not shown publicly', hidden: true });
+    }
+    
+    const language = textLanguage(survey, req.query);
+    if (!language) {
+      return res.status(400).json({ error: `language must be one of: ${Object.keys(TEXT_LANGUAGES).join(', ')}` });
+    }
+    
+    const sentiment = req.query.sentiment;
+    if (sentiment !== undefined && !SENTIMENT_LABELS.includes(sentiment)) {
+      return res.status(400).json({ error: `sentiment must be one of: ${SENTIMENT_LABELS.join(', ')}` });
+    }
+    
+    const filterErrors = validateFilters(survey, req.query);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({ error: filterErrors.join(', ') });
+    }
+    
+    const page = parseInt(req.query.page, 10) || 1;
+    const pageSize = Math.min(parseInt(req.query.pageSize, 10) || 20, 100);
+    if (page < 1 || pageSize < 1) {
+      return res.status(400).json({ error: 'page and pageSize must be positive numbers' });
+    }
+    
+    // Searches ignore case and accents, like the term counts
+    const search = tokenizeText(req.query.search || '').join(' ');
+    
+    const matching = filterResponses(survey, req.query)
+      .filter(r => typeof r.data[question.id] === 'string' && r.data[question.id])
+      .map(r => ({
+        ...(access === 'full' ? { responseId: r.id } : {}),
+        text: r.data[question.id],
+        submittedAt: r.submittedAt,
+        sentiment: answerSentiment(r.data[question.id], language)
+      }))
+      .filter(answer => !search || tokenizeText(answer.text).join(' ').includes(search))
+      .filter(answer => !sentiment || answer.sentiment.label === sentiment)
+      .reverse();
     
     res.json({
-      id: surveyId,
-      adminToken: survey.adminToken,
-      clientUrl: `${req.protocol}://${req.get('host')}/survey/${surveyId}`,
-      adminUrl: `${req.protocol}://${req.get('host')}/admin/${surveyId}?token=${survey.adminToken}`
+      questionId: question.id,
+      language,
+      answers: matching.slice((page - 1) * pageSize, page * pageSize),
+      page,
+      pageSize,
+      total: matching.length,
+      totalPages: Math.max(1, Math.ceil(matching.length / pageSize))
     });
   } catch (error) {
-    console.error('Survey creation error:', error);
-    res.status(500).json({ error: 'Failed to create survey' });
+    console.error('Text answers error:', error);
+    res.status(500).json({ error: 'Failed to fetch answers' });
   }
 });
 
-// Update existing survey (admin only)
-app.put('/api/surveys/:surveyId', (req, res) => {
+// Cross-tabulate two choice or scale questions
+app.get('/api/surveys/:surveyId/crosstab', (req, res) => {
   try {
     const survey = store.surveys[req.params.surveyId];
     
@@ -201,44 +3140,83 @@ app.put('/api/surveys/:surveyId', (req, res) => {
       return res.status(404).json({ error: 'Survey not found' });
     }
     
-    // Validate admin token
-    if (req.query.token !== survey.adminToken) {
+    if (!hasRole(survey, req, 'viewer')) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
     
-    const { title, description, questions } = req.body;
+    const rowQuestion = survey.questions.find(q => q.id === req.query.rows);
+    const columnQuestion = survey.questions.find(q => q.id === req.query.columns);
     
-    if (!title || !questions || !Array.isArray(questions) || questions.length === 0) {
-      return res.status(400).json({ error: 'Invalid survey data' });
+    if (!rowQuestion || !columnQuestion) {
+      return res.status(400).json({ error: 'Both "rows" and "columns" must be question IDs' });
     }
     
-    // Update survey while preserving responses and metadata
-    survey.title = title;
-    survey.description = description || '';
-    survey.questions = questions.map((q, idx) => ({
-      ...q,
-      id: q.id || `q_${idx}`
-    }));
-    survey.updatedAt = new Date().toISOString();
+    if (rowQuestion.id === columnQuestion.id) {
+      return res.status(400).json({ error: 'Choose two different questions' });
+    }
     
-    res.json({ 
-      success: true,
-      message: 'Survey updated successfully',
-      survey: {
-        id: survey.id,
-        title: survey.title,
-        description: survey.description,
-        questions: survey.questions
-      }
-    });
+    if (!CROSSTAB_TYPES.includes(rowQuestion.type) || !CROSSTAB_TYPES.includes(columnQuestion.type)) {
+      return res.status(400).json({ error: 'Only choice, scale and NPS questions can be cross-tabulated' });
+    }
+    
+    const filterErrors = validateFilters(survey, req.query);
+    if (filterErrors.length > 0) {
+      return res.status(400).json({ error: filterErrors.join(', ') });
+    }
+    
+    res.json(crossTabulate(survey, rowQuestion, columnQuestion, filterResponses(survey, req.query)));
   } catch (error) {
-    console.error('Survey update error:', error);
-    res.status(500).json({ error: 'Failed to update survey' });
+    console.error('Crosstab error:', error);
+    res.status(500).json({ error: 'Failed to build crosstab' });
   }
 });
 
-// Get survey details (client view)
-app.get('/api/surveys/:surveyId', (req, res) => {
+// Stream aggregated results as Server-Sent Events
+app.get('/api/surveys/:surveyId/stream', (req, res) => {
+  const survey = store.surveys[req.params.surveyId];
+  
+  if (!survey) {
+    return res.status(404).json({ error: 'Survey not found' });
+  }
+  
+  if (getRequestToken(req) && !hasRole(survey, req, 'viewer')) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  
+  const access = getResultsAccess(survey, req);
+  if (!access) {
+    return sendResultsLocked(res, survey);
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  // Tell clients how long to wait before reconnecting, then send the current state
+  res.write('retry: 3000\n\n');
+  const results = aggregateResults(survey);
+  res.write(`event: results\ndata: ${JSON.stringify(access === 'full' ? results : publicResults(survey, results))}\n\n`);
+  
+  if (!streamClients[survey.id]) {
+    streamClients[survey.id] = new Set();
+  }
+  const client = { req, res, access };
+  streamClients[survey.id].add(client);
+  
+  // Comment lines keep idle connections from being dropped by proxies
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+  
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    streamClients[survey.id].delete(client);
+  });
+});
+
+// Export results as CSV
+app.get('/api/surveys/:surveyId/export/csv', (req, res) => {
   try {
     const survey = store.surveys[req.params.surveyId];
     
@@ -246,17 +3224,44 @@ app.get('/api/surveys/:surveyId', (req, res) => {
       return res.status(404).json({ error: 'Survey not found' });
     }
     
-    // Return survey without responses
-    const { responses, adminToken, ...surveyData } = survey;
-    res.json(surveyData);
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
+    }
+    
+    const options = parseCsvOptions(req.query);
+    if (options.errors.length > 0) {
+      return res.status(400).json({ error: options.errors.join(', ') });
+    }
+    
+    // Hidden responses are left out unless asked for
+    const responses = options.includeHidden ? survey.responses : visibleResponses(survey);
+    
+    const metadata = options.metadata.map(key => CSV_METADATA_COLUMNS[key]);
+    const columns = getResponseColumns(survey, responses, options);
+    
+    const rows = [metadata.concat(columns).map(column => column.header)];
+    responses.forEach(response => {
+      rows.push(metadata.map(column => column.value(response)).concat(columns.map(column => {
+        const value = column.value(response.data);
+        return Array.isArray(value) ? value.join('; ') : value;
+      })));
+    });
+    
+    // A byte order mark lets Excel detect UTF-8
+    const csv = (options.bom ? '\uFEFF' : '') +
+      rows.map(row => row.map(csvField).join(options.delimiter)).join('\n') + '\n';
+    
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${survey.id}_results.csv"`);
+    res.send(csv);
   } catch (error) {
-    console.error('Fetch survey error:', error);
-    res.status(500).json({ error: 'Failed to fetch survey' });
+    console.error('CSV export error:', error);
+    res.status(500).json({ error: 'Failed to export CSV' });
   }
 });
 
-// Get survey with admin token (admin view)
-app.get('/api/surveys/:surveyId/admin', (req, res) => {
+// Export raw responses as JSON Lines, one response object per line
+app.get('/api/surveys/:surveyId/export/jsonl', (req, res) => {
   try {
     const survey = store.surveys[req.params.surveyId];
     
@@ -264,19 +3269,33 @@ app.get('/api/surveys/:surveyId/admin', (req, res) => {
       return res.status(404).json({ error: 'Survey not found' });
     }
     
-    if (req.query.token !== survey.adminToken) {
+    if (!hasRole(survey, req, 'editor')) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
     
-    res.json(survey);
+    const includeHidden = req.query.includeHidden === 'true';
+    const responses = includeHidden ? survey.responses : visibleResponses(survey);
+    
+    const lines = responses.map(response => JSON.stringify({
+      id: response.id,
+      submittedAt: response.submittedAt,
+      editedAt: response.editedAt || null,
+      version: response.version || 1,
+      ...(includeHidden && { hidden: Boolean(response.hidden), flagReason: response.flagReason || null }),
+      data: response.data
+    }));
+    
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="${survey.id}_responses.jsonl"`);
+    res.send(lines.length > 0 ? lines.join('\n') + '\n' : '');
   } catch (error) {
-    console.error('Admin fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch survey' });
+    console.error('JSON Lines export error:', error);
+    res.status(500).json({ error: 'Failed to export JSON Lines' });
   }
 });
 
-// Submit a response
-app.post('/api/surveys/:surveyId/responses', (req, res) => {
+// Export a workbook with a sheet of responses (labels, not IDs) and a sheet of aggregated results
+app.get('/api/surveys/:surveyId/export/xlsx', (req, res) => {
   try {
     const survey = store.surveys[req.params.surveyId];
     
@@ -284,28 +3303,42 @@ app.post('/api/surveys/:surveyId/responses', (req, res) => {
       return res.status(404).json({ error: 'Survey not found' });
     }
     
-    const errors = validateResponse(survey, req.body);
-    if (errors.length > 0) {
-      return res.status(400).json({ errors });
+    if (!hasRole(survey, req, 'editor')) {
+      return res.status(403).json({ error: 'Unauthorized' });
     }
     
-    const response = {
-      id: `response_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      data: req.body,
-      submittedAt: new Date().toISOString()
-    };
+    const includeHidden = req.query.includeHidden === 'true';
+    const responses = includeHidden ? survey.responses : visibleResponses(survey);
+    const columns = getResponseColumns(survey, responses, { labels: true });
     
-    survey.responses.push(response);
+    const header = ['Response ID', 'Submitted At', 'Survey Version']
+      .concat(includeHidden ? ['Hidden', 'Flag'] : [])
+      .concat(columns.map(column => column.header));
+    const rows = responses.map(response => [response.id, response.submittedAt, response.version || 1]
+      .concat(includeHidden ? [response.hidden ? 'yes' : 'no', response.flagReason || ''] : [])
+      .concat(columns.map(column => {
+        const value = column.value(response.data);
+        if (value === undefined || value === null || value === '') return '';
+        if (Array.isArray(value)) return value.join('; ');
+        return column.numeric && !isNaN(Number(value)) ? Number(value) : String(value);
+      })));
+    
+    const workbook = buildXlsx([
+      { name: 'Responses', rows: [header, ...rows] },
+      { name: 'Summary', rows: summaryRows(aggregateResults(survey)) }
+    ]);
     
-    res.json({ success: true, responseId: response.id });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${survey.id}_results.xlsx"`);
+    res.send(workbook);
   } catch (error) {
-    console.error('Response submission error:', error);
-    res.status(500).json({ error: 'Failed to submit response' });
+    console.error('XLSX export error:', error);
+    res.status(500).json({ error: 'Failed to export XLSX' });
   }
 });
 
-// Get aggregated results
-app.get('/api/surveys/:surveyId/results', (req, res) => {
+// Export a printable PDF report with a chart per question
+app.get('/api/surveys/:surveyId/export/pdf', (req, res) => {
   try {
     const survey = store.surveys[req.params.surveyId];
     
@@ -313,79 +3346,28 @@ app.get('/api/surveys/:surveyId/results', (req, res) => {
       return res.status(404).json({ error: 'Survey not found' });
     }
     
-    if (req.query.token && req.query.token !== survey.adminToken) {
+    if (!hasRole(survey, req, 'editor')) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
     
-    const results = {
-      surveyId: survey.id,
-      title: survey.title,
-      totalResponses: survey.responses.length,
-      questions: survey.questions.map(question => {
-        const questionResults = {
-          id: question.id,
-          text: question.text,
-          type: question.type
-        };
-        
-        switch (question.type) {
-          case 'text':
-            questionResults.responses = survey.responses
-              .map(r => r.data[question.id])
-              .filter(Boolean);
-            break;
-          
-          case 'single-choice':
-          case 'multiple-choice':
-            const optionCounts = {};
-            question.options.forEach(opt => {
-              optionCounts[opt.id] = { label: opt.label, count: 0 };
-            });
-            
-            survey.responses.forEach(r => {
-              const answer = r.data[question.id];
-              if (answer) {
-                if (Array.isArray(answer)) {
-                  answer.forEach(a => {
-                    if (optionCounts[a]) optionCounts[a].count++;
-                  });
-                } else if (optionCounts[answer]) {
-                  optionCounts[answer].count++;
-                }
-              }
-            });
-            
-            questionResults.options = Object.entries(optionCounts).map(([id, data]) => ({
-              id,
-              ...data
-            }));
-            break;
-          
-          case 'scale':
-            const scaleValues = survey.responses
-              .map(r => parseInt(r.data[question.id]))
-              .filter(v => !isNaN(v));
-            
-            questionResults.values = scaleValues;
-            questionResults.average = scaleValues.length > 0
-              ? (scaleValues.reduce((a, b) => a + b, 0) / scaleValues.length).toFixed(2)
-              : null;
-            break;
-        }
-        
-        return questionResults;
-      })
-    };
-    
-    res.json(results);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${survey.id}_report.pdf"`);
+    writePdfReport(survey, aggregateResults(survey), res);
   } catch (error) {
-    console.error('Results fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch results' });
+    console.error('PDF export error:', error);
+    // Once the PDF has started streaming the status is fixed, so cut the download short instead
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: 'Failed to export PDF' });
+    }
   }
 });
 
-// Export results as CSV
-app.get('/api/surveys/:surveyId/export/csv', (req, res) => {
+// Export a versioned snapshot of the survey and its responses
+app.get('/api/surveys/:surveyId/export/json', (req, res) => {
   try {
     const survey = store.surveys[req.params.surveyId];
     
@@ -393,35 +3375,41 @@ app.get('/api/surveys/:surveyId/export/csv', (req, res) => {
       return res.status(404).json({ error: 'Survey not found' });
     }
     
-    if (req.query.token !== survey.adminToken) {
+    if (!hasRole(survey, req, 'editor')) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
     
-    // Build CSV
-    let csv = '"Response ID","Submitted At"';
-    survey.questions.forEach(q => {
-      csv += `,"${q.text.replace(/"/g, '""')}"`;
-    });
-    csv += '\n';
-    
-    survey.responses.forEach(response => {
-      csv += `"${response.id}","${response.submittedAt}"`;
-      survey.questions.forEach(q => {
-        let value = response.data[q.id] || '';
-        if (Array.isArray(value)) {
-          value = value.join('; ');
-        }
-        csv += `,"${String(value).replace(/"/g, '""')}"`;
-      });
-      csv += '\n';
-    });
+    // The admin token is left out; a restored survey gets a fresh one
+    const snapshot = {
+      format: 'saysomething-survey',
+      version: SNAPSHOT_VERSION,
+      exportedAt: new Date().toISOString(),
+      survey: {
+        id: survey.id,
+        title: survey.title,
+        description: survey.description,
+        createdAt: survey.createdAt,
+        updatedAt: survey.updatedAt || null,
+        settings: survey.settings,
+        ...pickLifecycle(survey),
+        questions: survey.questions,
+        version: survey.version,
+        schemaHistory: survey.schemaHistory,
+        // Respondent and edit tokens only prove access to this pod's results and responses
+        responses: survey.responses.map(({ respondentToken, editToken, ...response }) => response),
+        // Kept so an invite-only survey still takes its invitees' codes, and used ones stay used
+        inviteCodes: survey.inviteCodes,
+        // Share links and webhook secrets are credentials, so only their counts go in; the import warns about them
+        omitted: { shareTokens: survey.shareTokens.length, webhooks: survey.webhooks.length }
+      }
+    };
     
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="${survey.id}_results.csv"`);
-    res.send(csv);
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${survey.id}_snapshot.json"`);
+    res.send(JSON.stringify(snapshot, null, 2));
   } catch (error) {
-    console.error('CSV export error:', error);
-    res.status(500).json({ error: 'Failed to export CSV' });
+    console.error('JSON export error:', error);
+    res.status(500).json({ error: 'Failed to export snapshot' });
   }
 });
 
@@ -451,93 +3439,69 @@ app.get('/api/health', (req, res) => {
 
 // ===== STATIC HTML PAGES =====
 
-// Home page - redirect to survey
+// Home page
 app.get('/', (req, res) => {
-  const surveyId = app.locals.currentSurveyId;
-  
-  if (surveyId) {
-    // If survey exists, redirect to admin
-    const adminUrl = `${req.protocol}://${req.get('host')}/admin/${surveyId}?token=${app.locals.currentSurveyAdminToken}`;
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>Survey Started</title>
-        <style>
-          body { font-family: system-ui; padding: 40px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; }
-          .container { max-width: 600px; margin: 0 auto; text-align: center; }
-          h1 { font-size: 2.5rem; margin-bottom: 20px; }
-          p { font-size: 1.1rem; margin-bottom: 20px; }
-          a { display: inline-block; background: white; color: #667eea; padding: 12px 30px; border-radius: 6px; text-decoration: none; font-weight: 600; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h1>🎯 Survey Ready!</h1>
-          <p>Your survey is being served. Choose a view:</p>
-          <p>
-            <a href="/survey/${surveyId}" target="_blank">👥 Client Survey</a>
-            &nbsp;&nbsp;
-            <a href="/admin/${surveyId}?token=${app.locals.currentSurveyAdminToken}" target="_blank">📊 Admin Dashboard</a>
-          </p>
-        </div>
-      </body>
-      </html>
-    `);
-  } else {
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>Survey Server</title>
-        <style>
-          body { font-family: system-ui; padding: 40px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; }
-          .container { max-width: 600px; margin: 0 auto; text-align: center; }
-          h1 { font-size: 2.5rem; margin-bottom: 20px; }
-          p { font-size: 1.1rem; color: rgba(255,255,255,0.9); }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h1>🎯 SaySomething</h1>
-          <p>Survey environment initialized. Waiting for survey creation...</p>
-        </div>
-      </body>
-      </html>
-    `);
-  }
+  const surveyCount = Object.keys(store.surveys).length;
+  
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <title>Survey Server</title>
+      <style>
+        body { font-family: system-ui; padding: 40px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; }
+        .container { max-width: 600px; margin: 0 auto; text-align: center; }
+        h1 { font-size: 2.5rem; margin-bottom: 20px; }
+        p { font-size: 1.1rem; color: rgba(255,255,255,0.9); }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h1>🎯 SaySomething</h1>
+        <p>${surveyCount > 0
+          ? `Serving ${surveyCount} survey${surveyCount !== 1 ? 's' : ''}. Use the link from your survey administrator to take part.`
+          : 'Survey environment initialized. Waiting for survey creation...'}</p>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+// Shown instead of a survey page when the ID is unknown
+function sendSurveyNotFound(res) {
+  res.status(404).send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <title>Survey Not Found</title>
+      <style>
+        body { font-family: system-ui; padding: 40px; background: #f5f5f5; }
+        .container { max-width: 600px; margin: 0 auto; background: white; padding: 40px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+        h1 { color: #d32f2f; margin-bottom: 10px; }
+        p { color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h1>❌ Survey Not Found</h1>
+        <p>This survey does not exist in this environment. Contact the survey administrator for the correct link.</p>
+      </div>
+    </body>
+    </html>
+  `);
+}
+
+// Survey index page (the page checks the index token through the API)
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'surveys.html'));
 });
 
 // Survey client page
 app.get('/survey/:surveyId', (req, res) => {
-  const surveyId = req.params.surveyId;
-  const currentSurveyId = app.locals.currentSurveyId;
-  
-  // Only allow access to the current active survey
-  if (surveyId !== currentSurveyId) {
-    return res.status(403).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>Access Denied</title>
-        <style>
-          body { font-family: system-ui; padding: 40px; background: #f5f5f5; }
-          .container { max-width: 600px; margin: 0 auto; background: white; padding: 40px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
-          h1 { color: #d32f2f; margin-bottom: 10px; }
-          p { color: #666; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h1>❌ Access Denied</h1>
-          <p>This survey is not currently active. Contact the survey administrator for the active survey link.</p>
-        </div>
-      </body>
-      </html>
-    `);
+  if (!store.surveys[req.params.surveyId]) {
+    return sendSurveyNotFound(res);
   }
   
   res.sendFile(path.join(__dirname, 'public', 'survey.html'));
@@ -545,71 +3509,68 @@ app.get('/survey/:surveyId', (req, res) => {
 
 // Admin page
 app.get('/admin/:surveyId', (req, res) => {
-  const surveyId = req.params.surveyId;
-  const currentSurveyId = app.locals.currentSurveyId;
-  
-  // Only allow access to the current active survey
-  if (surveyId !== currentSurveyId) {
-    return res.status(403).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>Access Denied</title>
-        <style>
-          body { font-family: system-ui; padding: 40px; background: #f5f5f5; }
-          .container { max-width: 600px; margin: 0 auto; background: white; padding: 40px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
-          h1 { color: #d32f2f; margin-bottom: 10px; }
-          p { color: #666; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h1>❌ Access Denied</h1>
-          <p>This survey is not currently active. Contact the survey administrator for the active survey link.</p>
-        </div>
-      </body>
-      </html>
-    `);
+  if (!store.surveys[req.params.surveyId]) {
+    return sendSurveyNotFound(res);
   }
   
   res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
 
+// Full-screen presenter view for live polls
+app.get('/present/:surveyId', (req, res) => {
+  if (!store.surveys[req.params.surveyId]) {
+    return sendSurveyNotFound(res);
+  }
+  
+  res.sendFile(path.join(__dirname, 'public', 'present.html'));
+});
+
 // Results view page
 app.get('/results/:surveyId', (req, res) => {
-  const surveyId = req.params.surveyId;
-  const currentSurveyId = app.locals.currentSurveyId;
-  
-  // Only allow access to the current active survey
-  if (surveyId !== currentSurveyId) {
-    return res.status(403).send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>Access Denied</title>
-        <style>
-          body { font-family: system-ui; padding: 40px; background: #f5f5f5; }
-          .container { max-width: 600px; margin: 0 auto; background: white; padding: 40px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
-          h1 { color: #d32f2f; margin-bottom: 10px; }
-          p { color: #666; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h1>❌ Access Denied</h1>
-          <p>This survey is not currently active. Contact the survey administrator for the active survey link.</p>
-        </div>
-      </body>
-      </html>
-    `);
+  if (!store.surveys[req.params.surveyId]) {
+    return sendSurveyNotFound(res);
   }
   
   res.sendFile(path.join(__dirname, 'public', 'results.html'));
 });
 
+// ===== SEED =====
+
+// Seeding runs after every declaration above so initializeSurvey can use their constants
+
+// Try to initialize from parent window
+// In browser environment, window.surveyData is set by the parent Vite app
+if (typeof window !== 'undefined' && window.surveyData) {
+  initializeSurvey(window.surveyData);
+}
+
+// Try to read from survey-data.js file (for BrowserPod environment)
+// It holds either a single survey or { indexToken, surveys: [...] }
+try {
+  const surveyDataModule = require('./survey-data.js');
+  if (surveyDataModule && Array.isArray(surveyDataModule.surveys)) {
+    store.indexToken = surveyDataModule.indexToken || null;
+    surveyDataModule.surveys.forEach(initializeSurvey);
+  } else if (surveyDataModule && surveyDataModule.surveyId) {
+    initializeSurvey(surveyDataModule);
+  }
+} catch (e) {
+  // Only a missing file means there is nothing to seed; anything else would silently empty the store
+  if (e.code === 'MODULE_NOT_FOUND' && e.message.startsWith("Cannot find module './survey-data.js'")) {
+    console.log('No survey-data.js found; starting with an empty store');
+  } else {
+    console.error('Failed to seed surveys from survey-data.js:', e);
+  }
+}
+
+if (!store.indexToken) {
+  store.indexToken = generateToken();
+}
+
 app.listen(port, () => {
+  // stop-server.js reads this to kill a server that has stopped answering before a restart
+  fs.writeFileSync(path.join(__dirname, '.server.pid'), String(process.pid));
   console.log(`SaySomething survey app listening on port ${port}`);
   console.log(`Visit http://localhost:${port} to start creating surveys`);
+  console.log(`Survey index: http://localhost:${port}/admin?token=${store.indexToken}`);
 });
@@ -0,0 +1,119 @@
+// Packs node_modules into a single gzipped archive and unpacks it again, so the host page
+// can cache installed dependencies between pod boots instead of running npm install.
+//
+//   node modules-cache.js pack <archive> <key>
+//   node modules-cache.js unpack <archive>
+//
+// Archive layout (gzipped): 4-byte big-endian header length, a JSON header
+// { key, entries: [{ path, type, size, mode, target }] }, then file contents in entry order.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const MODULES_DIR = path.join(__dirname, 'node_modules');
+// Written last by unpack; the host reads it back to confirm the restore finished
+const KEY_FILE = path.join(MODULES_DIR, '.modules-cache-key');
+
+function listEntries(dir, prefix = '') {
+  const entries = [];
+  
+  for (const name of fs.readdirSync(dir).sort()) {
+    const fullPath = path.join(dir, name);
+    const entryPath = prefix ? `${prefix}/${name}` : name;
+    const stat = fs.lstatSync(fullPath);
+    
+    if (stat.isSymbolicLink()) {
+      entries.push({ path: entryPath, type: 'symlink', target: fs.readlinkSync(fullPath) });
+    } else if (stat.isDirectory()) {
+      entries.push({ path: entryPath, type: 'dir' });
+      entries.push(...listEntries(fullPath, entryPath));
+    } else if (stat.isFile()) {
+      entries.push({ path: entryPath, type: 'file', size: stat.size, mode: stat.mode & 0o777 });
+    }
+  }
+  
+  return entries;
+}
+
+async function pack(archive, key) {
+  const entries = listEntries(MODULES_DIR).filter(entry => entry.path !== path.basename(KEY_FILE));
+  const header = Buffer.from(JSON.stringify({ key, entries }));
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32BE(header.length);
+  
+  // One file in memory at a time; sizes must match the header or every later offset is wrong
+  function* chunks() {
+    yield headerLength;
+    yield header;
+    for (const entry of entries.filter(e => e.type === 'file')) {
+      const data = fs.readFileSync(path.join(MODULES_DIR, entry.path));
+      if (data.length !== entry.size) {
+        throw new Error(`${entry.path} changed while packing`);
+      }
+      yield data;
+    }
+  }
+  
+  await pipeline(Readable.from(chunks()), zlib.createGzip(), fs.createWriteStream(archive));
+  console.log(`Packed ${entries.length} node_modules entries into ${archive}`);
+}
+
+function unpack(archive) {
+  const data = zlib.gunzipSync(fs.readFileSync(archive));
+  const headerLength = data.readUInt32BE(0);
+  const { key, entries } = JSON.parse(data.subarray(4, 4 + headerLength).toString('utf8'));
+  let offset = 4 + headerLength;
+  
+  fs.rmSync(MODULES_DIR, { recursive: true, force: true });
+  fs.mkdirSync(MODULES_DIR);
+  
+  for (const entry of entries) {
+    const target = path.join(MODULES_DIR, entry.path);
+    if (!target.startsWith(MODULES_DIR + path.sep)) {
+      throw new Error(`Refusing to unpack outside node_modules: ${entry.path}`);
+    }
+    
+    if (entry.type === 'dir') {
+      fs.mkdirSync(target, { recursive: true });
+    } else if (entry.type === 'symlink') {
+      // Only node_modules/.bin uses links, and the server never runs those
+      try {
+        fs.symlinkSync(entry.target, target);
+      } catch (error) {
+        console.warn(`Skipped link ${entry.path}: ${error.message}`);
+      }
+    } else {
+      fs.writeFileSync(target, data.subarray(offset, offset + entry.size), { mode: entry.mode });
+      offset += entry.size;
+    }
+  }
+  
+  fs.writeFileSync(KEY_FILE, key);
+  fs.rmSync(archive);
+  console.log(`Restored ${entries.length} node_modules entries from ${archive}`);
+}
+
+async function main() {
+  const [command, archive, key] = process.argv.slice(2);
+  
+  if (command === 'pack' && archive && key) {
+    await pack(archive, key);
+  } else if (command === 'unpack' && archive) {
+    try {
+      unpack(archive);
+    } catch (error) {
+      // A half-restored node_modules could convince npm install there's nothing to do
+      fs.rmSync(MODULES_DIR, { recursive: true, force: true });
+      throw error;
+    }
+  } else {
+    throw new Error('Usage: node modules-cache.js pack <archive> <key> | unpack <archive>');
+  }
+}
+
+main().catch(error => {
+  console.error('modules-cache:', error.message);
+  process.exitCode = 1;
+});
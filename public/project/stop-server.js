@@ -0,0 +1,60 @@
+// Stops the survey server recorded in .server.pid, so the host page can start a fresh one on the
+// same port when the old one has stopped answering.
+//
+//   node stop-server.js
+//
+// Exits non-zero if the process is still running after SIGKILL.
+const fs = require('fs');
+const path = require('path');
+
+// Written by main.js once it's listening
+const PID_FILE = path.join(__dirname, '.server.pid');
+// How long each signal gets to take effect
+const STOP_WAIT_MS = 3000;
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+async function waitForExit(pid) {
+  const deadline = Date.now() + STOP_WAIT_MS;
+  while (isRunning(pid) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return !isRunning(pid);
+}
+
+async function main() {
+  let pid;
+  try {
+    pid = Number(fs.readFileSync(PID_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    console.log('No .server.pid; no server to stop');
+    return;
+  }
+  
+  // A hung server may never handle SIGTERM, so it gets SIGKILL after the wait
+  if (Number.isInteger(pid) && pid > 0 && isRunning(pid)) {
+    process.kill(pid, 'SIGTERM');
+    if (!await waitForExit(pid)) {
+      process.kill(pid, 'SIGKILL');
+      if (!await waitForExit(pid)) {
+        throw new Error(`Server process ${pid} is still running`);
+      }
+    }
+    console.log(`Stopped server process ${pid}`);
+  }
+  
+  fs.rmSync(PID_FILE, { force: true });
+}
+
+main().catch(error => {
+  console.error('stop-server:', error.message);
+  process.exitCode = 1;
+});
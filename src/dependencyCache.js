@@ -0,0 +1,32 @@
+// Cache Storage copy of the pod's installed node_modules, packed by project/modules-cache.js,
+// so later boots can skip npm install while package.json and the lockfile are unchanged
+const CACHE_NAME = 'saysomething-node-modules';
+// Bump when the archive layout in project/modules-cache.js changes
+const ARCHIVE_FORMAT = 1;
+const DEPENDENCY_FILES = ['project/package.json', 'project/package-lock.json'];
+
+// Built from the manifest hashes of package.json and the lockfile; null without a package.json
+export function dependencyCacheKey(manifest) {
+  const files = manifest.files.filter(file => DEPENDENCY_FILES.includes(file.path));
+  if (!files.some(file => file.path === 'project/package.json')) return null;
+  return [`v${ARCHIVE_FORMAT}`, ...files.map(file => file.sha256.slice(0, 16))].join('-');
+}
+
+function cacheUrl(key) {
+  return `/node-modules-cache/${key}.gz`;
+}
+
+export async function loadCachedModules(key) {
+  const cache = await caches.open(CACHE_NAME);
+  const response = await cache.match(cacheUrl(key));
+  return response ? response.arrayBuffer() : null;
+}
+
+// Replaces any archive cached for an older package.json or lockfile
+export async function saveCachedModules(key, archive) {
+  const cache = await caches.open(CACHE_NAME);
+  for (const request of await cache.keys()) {
+    await cache.delete(request);
+  }
+  await cache.put(cacheUrl(key), new Response(archive, { headers: { 'Content-Type': 'application/gzip' } }));
+}
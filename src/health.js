@@ -0,0 +1,61 @@
+// Heartbeat against the pod server's /api/health, so the host page notices
+// when the server process stops answering
+const HEALTH_INTERVAL_MS = 5000;
+const HEALTH_TIMEOUT_MS = 4000;
+// Missed heartbeats in a row before the server is reported down
+const MISSED_BEATS_LIMIT = 3;
+
+export async function checkHealth(url) {
+  try {
+    const response = await fetch(`${url}/api/health`, {
+      cache: 'no-store',
+      signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS)
+    });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+// Resolves once the server answers a health check, rejects after timeoutMs
+export async function waitForHealthy(url, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await checkHealth(url))) {
+    if (Date.now() >= deadline) {
+      throw new Error('The survey server did not respond to health checks');
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+}
+
+// Calls onDown after MISSED_BEATS_LIMIT failed checks and onUp when the server answers again
+export function startHealthMonitor(url, { onDown, onUp }) {
+  let missed = 0;
+  let down = false;
+  let checking = false;
+  let stopped = false;
+  
+  const timer = setInterval(async () => {
+    if (checking) return;
+    checking = true;
+    const healthy = await checkHealth(url);
+    checking = false;
+    if (stopped) return;
+    
+    if (healthy) {
+      missed = 0;
+      if (down) {
+        down = false;
+        onUp();
+      }
+    } else if (++missed >= MISSED_BEATS_LIMIT && !down) {
+      down = true;
+      onDown();
+    }
+  }, HEALTH_INTERVAL_MS);
+  
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+}
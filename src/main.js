@@ -1,12 +1,48 @@
 import { BrowserPod } from '@leaningtech/browserpod'
-import { copyFile } from './utils'
+import { loadProjectManifest, createDirectories, copyProjectFiles, withTimeout } from './utils'
+import { createBootProgress } from './progress'
+import { startHealthMonitor, waitForHealthy } from './health'
+import { dependencyCacheKey, loadCachedModules, saveCachedModules } from './dependencyCache'
+import { parseSurveySnapshot } from './snapshot'
+import { saveSurveyState, loadSurveyState, clearSurveyState } from './storage'
 import QRCode from 'qrcode'
 
 // Make QRCode available globally for admin.html
 window.QRCode = QRCode;
 
 let pod = null;
+let terminal = null;
 let surveyCreatorActive = true;
+let persistInterval = null;
+// Set once the pod's server is reachable; new surveys are then added to it
+let portalUrl = null;
+let indexToken = null;
+let stopHealthMonitor = null;
+// pod.run's promise for the Express server, which settles when that process exits
+let serverProcess = null;
+
+// How often the pod's state is pulled from /api/state and saved to IndexedDB
+const PERSIST_INTERVAL_MS = 10000;
+
+// How long a started or restarted server gets to answer health checks
+const SERVER_READY_TIMEOUT_MS = 30000;
+
+// How long a killed server gets to exit before a restart gives up
+const SERVER_STOP_TIMEOUT_MS = 10000;
+
+// Boot steps in order, each retried once after a timeout or error before the admin is asked to retry.
+// Timeouts are generous because the first boot downloads the runtime and npm packages
+const BOOT_STEPS = [
+  { id: 'boot', label: 'Booting the in-browser environment', timeoutMs: 60000 },
+  { id: 'copy', label: 'Copying survey files', timeoutMs: 30000 },
+  { id: 'install', label: 'Installing dependencies', timeoutMs: 180000 },
+  { id: 'start', label: 'Starting the survey server', timeoutMs: 30000 },
+  { id: 'portal', label: 'Waiting for the survey portal', timeoutMs: SERVER_READY_TIMEOUT_MS }
+];
+const STEP_ATTEMPTS = 2;
+
+// Where project/modules-cache.js packs node_modules inside /project
+const MODULES_ARCHIVE = 'node_modules.cache.gz';
 
 // Initialize with survey creator form
 renderSurveyCreator();
@@ -45,67 +81,202 @@ async function renderSurveyCreator() {
     // Add our custom submit handler
     newForm.addEventListener('submit', handleSurveyCreation);
   }
+  
+  // Restoring from a snapshot needs the host, so only offer it here
+  const restoreSection = appContainer.querySelector('#restoreSection');
+  const snapshotInput = appContainer.querySelector('#snapshotFile');
+  if (restoreSection && snapshotInput) {
+    restoreSection.style.display = 'block';
+    snapshotInput.addEventListener('change', handleSnapshotImport);
+  }
+  
+  await offerResume(appContainer);
+  
+  document.getElementById('allSurveysBtn').addEventListener('click', showSurveyIndex);
+  document.getElementById('newSurveyBtn').addEventListener('click', showCreatorForNewSurvey);
+  document.getElementById('terminalBtn').addEventListener('click', toggleTerminal);
+  document.getElementById('restartServerBtn').addEventListener('click', restartServer);
+  document.getElementById('reloadPageBtn').addEventListener('click', () => location.reload());
+  document.getElementById('healthTerminalBtn').addEventListener('click', toggleTerminal);
 }
 
-async function handleSurveyCreation(e) {
-  e.preventDefault();
+// 24 random bytes from the CSPRNG, hex encoded (same shape as the pod's tokens)
+function generateToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Older saves hold a single survey rather than the whole pod
+function normalizePodState(saved) {
+  const { savedAt, ...state } = saved;
+  if (Array.isArray(state.surveys)) return state;
+  return { indexToken: generateToken(), surveys: [state] };
+}
+
+function showPortal(url) {
+  document.getElementById('app-container').style.display = 'none';
+  document.getElementById('portal-container').style.display = 'block';
+  document.getElementById('portal').src = url;
+}
+
+function showSurveyIndex() {
+  showPortal(`${portalUrl}/admin?token=${indexToken}`);
+}
+
+// Bring the creator back with an empty draft for another survey in the running pod
+function showCreatorForNewSurvey() {
+  const appContainer = document.getElementById('app-container');
+  const form = appContainer.querySelector('#surveyForm');
   
-  // Get form data
-  const form = e.target;
-  const title = form.querySelector('#surveyTitle').value;
-  const description = form.querySelector('#surveyDescription').value;
-  const questions = [];
+  form.reset();
+  appContainer.querySelector('#questionsList').innerHTML = '';
+  window.addQuestion();
   
-  form.querySelectorAll('.question-card').forEach(card => {
-    const inputs = card.querySelectorAll('input[type="text"]');
-    const select = card.querySelector('select');
-    const checkbox = card.querySelector('input[type="checkbox"]');
-    
-    const questionText = inputs[0].value;
-    const questionType = select.value;
-    const required = checkbox.checked;
-    
-    const question = {
-      text: questionText,
-      type: questionType,
-      required
-    };
-    
-    if (questionType === 'single-choice' || questionType === 'multiple-choice') {
-      const optionsContainer = card.querySelector('.options-list');
-      if (optionsContainer) {
-        question.options = Array.from(optionsContainer.querySelectorAll('input[type="text"]')).map((inp, idx) => ({
-          id: `opt_${idx}`,
-          label: inp.value
-        }));
-      }
-    }
-    
-    if (questionType === 'scale') {
-      const scaleInputs = card.querySelectorAll('.scale-inputs input[type="number"]');
-      question.minValue = parseInt(scaleInputs[0].value) || 1;
-      question.maxValue = parseInt(scaleInputs[1].value) || 5;
+  // Resuming or restoring would boot a second pod
+  appContainer.querySelector('#resumeSection').style.display = 'none';
+  appContainer.querySelector('#restoreSection').style.display = 'none';
+  
+  document.getElementById('portal-container').style.display = 'none';
+  appContainer.style.display = 'block';
+}
+
+// Offer to reboot the pod with the survey saved before the last page refresh
+async function offerResume(appContainer) {
+  const resumeSection = appContainer.querySelector('#resumeSection');
+  if (!resumeSection) return;
+  
+  let saved;
+  try {
+    saved = await loadSurveyState();
+  } catch (error) {
+    console.warn('Could not read saved survey state:', error);
+    return;
+  }
+  if (!saved) return;
+  
+  const podState = normalizePodState(saved);
+  const responseCount = podState.surveys.reduce((sum, survey) => sum + (survey.responses ? survey.responses.length : 0), 0);
+  const surveyLabel = podState.surveys.length === 1
+    ? `"${podState.surveys[0].title}"`
+    : `${podState.surveys.length} surveys`;
+  appContainer.querySelector('#resumeText').textContent =
+    `${surveyLabel} with ${responseCount} response${responseCount !== 1 ? 's' : ''}, last saved ${new Date(saved.savedAt).toLocaleString()}.`;
+  resumeSection.style.display = 'block';
+  
+  appContainer.querySelector('#resumeBtn').addEventListener('click', () => {
+    bootPodAndServeSurvey(podState);
+  });
+  
+  appContainer.querySelector('#discardResumeBtn').addEventListener('click', async () => {
+    await clearSurveyState();
+    resumeSection.style.display = 'none';
+  });
+}
+
+// Pull the pod's full state through the portal and save it to IndexedDB
+async function persistPodState() {
+  try {
+    const response = await fetch(`${portalUrl}/api/state`, {
+      headers: { 'Authorization': `Bearer ${indexToken}` }
+    });
+    if (!response.ok) {
+      throw new Error(`Fetch failed: ${response.status} ${response.statusText}`);
     }
+    const { surveys } = await response.json();
     
-    questions.push(question);
-  });
+    await saveSurveyState({ indexToken, surveys });
+  } catch (error) {
+    console.warn('Failed to persist survey state:', error);
+  }
+}
+
+async function handleSnapshotImport(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  
+  let snapshot;
+  try {
+    snapshot = parseSurveySnapshot(await file.text());
+  } catch (error) {
+    alert(`Could not import snapshot: ${error.message}`);
+    e.target.value = '';
+    return;
+  }
+  
+  const { surveyData: restored, warnings } = snapshot;
+  if (warnings.length > 0 && !confirm(`This snapshot won't restore everything:\n\n- ${warnings.join('\n- ')}\n\nRestore it anyway?`)) {
+    e.target.value = '';
+    return;
+  }
+  
+  const surveyData = {
+    ...restored,
+    surveyId: restored.surveyId || `survey_${Date.now()}`,
+    adminToken: generateToken()
+  };
+  
+  // Boot a fresh pod seeded with the restored questions and responses
+  await bootPodAndServeSurvey({ indexToken: generateToken(), surveys: [surveyData] });
+}
+
+async function handleSurveyCreation(e) {
+  e.preventDefault();
+  
+  // Read and validate the draft with the creator's own helpers (defined in app.html)
+  const { title, description, questions, settings } = window.getFormData();
+  const validationError = window.validateFormData({ title, description, questions, settings });
+  if (validationError) {
+    window.showError(validationError);
+    return;
+  }
+  
+  // A running pod takes the new survey directly
+  if (portalUrl) {
+    await addSurveyToPod({ title, description, questions, settings });
+    return;
+  }
   
   const surveyData = { 
     title, 
     description, 
     questions,
+    settings,
     surveyId: `survey_${Date.now()}`,
-    adminToken: Math.random().toString(36).substring(2, 15)
+    adminToken: generateToken()
   };
   
-  // Validate
-  if (!title || questions.length === 0) {
-    alert('Please complete the survey');
-    return;
-  }
-  
   // Now boot BrowserPod with the survey data
-  await bootPodAndServeSurvey(surveyData);
+  await bootPodAndServeSurvey({ indexToken: generateToken(), surveys: [surveyData] });
+}
+
+async function addSurveyToPod(draft) {
+  try {
+    const response = await fetch(`${portalUrl}/api/surveys`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(draft)
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to create survey');
+    }
+    
+    const adminUrl = `${portalUrl}/admin/${result.id}?token=${result.adminToken}`;
+    showPortal(adminUrl);
+    persistPodState();
+    
+    setTimeout(() => {
+      showSurveySuccess({
+        surveyId: result.id,
+        adminToken: result.adminToken,
+        clientUrl: `${portalUrl}/survey/${result.id}`,
+        adminUrl,
+        portalUrl
+      });
+    }, 1000);
+  } catch (error) {
+    window.showError(error.message);
+  }
 }
 
 function showSurveySuccess(surveyInfo) {
@@ -196,102 +367,290 @@ function showSurveySuccess(surveyInfo) {
   });
 }
 
-async function bootPodAndServeSurvey(surveyData) {
+async function writePodFile(path, data) {
+  const file = await pod.createFile(path, 'binary');
+  await file.write(data);
+  await file.close();
+}
+
+async function readPodFile(path) {
+  const file = await pod.openFile(path, 'binary');
+  try {
+    return await file.read(await file.getSize());
+  } finally {
+    await file.close();
+  }
+}
+
+// The pod server seeds its store from survey-data.js when it starts
+async function writeSurveyData(podState) {
+  const encodedData = new TextEncoder().encode(`module.exports = ${JSON.stringify(podState)};`);
+  await writePodFile('/project/survey-data.js', encodedData.buffer.slice(encodedData.byteOffset, encodedData.byteOffset + encodedData.byteLength));
+}
+
+// Unpacks the cached node_modules archive into the pod; false means run npm install instead
+async function restoreCachedModules(key) {
   try {
-    // Show loading state
-    const appContainer = document.getElementById('app-container');
-    appContainer.innerHTML = '<div style="padding: 40px; text-align: center; color: #666;"><p>🚀 Starting survey environment...</p></div>';
+    const archive = await loadCachedModules(key);
+    if (!archive) return false;
     
-    // Boot BrowserPod
-    console.log('Booting BrowserPod...');
-    pod = await BrowserPod.boot({apiKey: import.meta.env.VITE_BP_APIKEY});
-    console.log('BrowserPod booted successfully');
+    console.log('Restoring cached npm dependencies...');
+    await writePodFile(`/project/${MODULES_ARCHIVE}`, archive);
+    await pod.run('node', ['modules-cache.js', 'unpack', MODULES_ARCHIVE], {echo: false, terminal: terminal, cwd: '/project'});
     
-    // Wait a moment for WASM to fully initialize
-    await new Promise(resolve => setTimeout(resolve, 500));
+    // unpack writes the key last, so reading it back means every file was restored
+    const restoredKey = new TextDecoder().decode(await readPodFile('/project/node_modules/.modules-cache-key'));
+    return restoredKey === key;
+  } catch (error) {
+    console.warn('Could not restore cached npm dependencies:', error);
+    return false;
+  }
+}
+
+// Packs a fresh npm install into Cache Storage for the next boot; failures only cost the next boot an install
+async function cacheInstalledModules(key) {
+  try {
+    await pod.run('node', ['modules-cache.js', 'pack', MODULES_ARCHIVE, key], {echo: false, terminal: terminal, cwd: '/project'});
+    await saveCachedModules(key, await readPodFile(`/project/${MODULES_ARCHIVE}`));
+    console.log('Cached npm dependencies for the next boot');
+  } catch (error) {
+    console.warn('Could not cache npm dependencies:', error);
+  }
+}
+
+function startServer() {
+  console.log('Starting Express server...');
+  serverProcess = pod.run('node', ['main.js'], {echo: false, terminal: terminal, cwd: '/project'});
+}
+
+// A hung server still holds the port, so project/stop-server.js kills it and it must have exited
+// before another one starts
+async function stopServer() {
+  if (!serverProcess) return;
+  
+  console.log('Stopping Express server...');
+  const exited = serverProcess.then(() => {}, () => {});
+  await pod.run('node', ['stop-server.js'], {echo: false, terminal: terminal, cwd: '/project'});
+  await withTimeout(exited, SERVER_STOP_TIMEOUT_MS, 'the old server process could not be stopped');
+  serverProcess = null;
+}
+
+// Step attempts that are still running; a retry after a timeout waits on these instead of
+// starting a second npm install or BrowserPod.boot alongside the first
+const runningSteps = {};
+
+function runStep(id, action) {
+  if (!runningSteps[id]) {
+    const running = action();
+    runningSteps[id] = running;
+    const settle = () => {
+      if (runningSteps[id] === running) delete runningSteps[id];
+    };
+    running.then(settle, settle);
+  }
+  return runningSteps[id];
+}
+
+// Run BOOT_STEPS from fromIndex; on failure the progress list offers to retry that step
+async function runBootSteps(progress, actions, fromIndex, onFinished) {
+  for (const [index, step] of BOOT_STEPS.entries()) {
+    if (index < fromIndex) continue;
+    progress.start(step.id);
     
-    // Debug: Check what properties/methods are available on pod
-    console.log('Pod properties:', Object.keys(pod));
-    console.log('Pod methods:', Object.getOwnPropertyNames(Object.getPrototypeOf(pod)));
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await withTimeout(runStep(step.id, actions[step.id]), step.timeoutMs, `${step.label} timed out after ${step.timeoutMs / 1000}s`);
+        break;
+      } catch (error) {
+        console.error(`Boot step "${step.id}" failed:`, error);
+        if (attempt < STEP_ATTEMPTS) {
+          progress.retrying(step.id, attempt + 1, error);
+          continue;
+        }
+        
+        // Open the terminal so npm or node errors are visible next to the failed step
+        document.getElementById('console-panel').open = true;
+        progress.fail(step.id, error, [
+          { label: 'Retry', onClick: () => runBootSteps(progress, actions, index, onFinished) },
+          { label: 'Start Over', onClick: () => location.reload() }
+        ]);
+        return;
+      }
+    }
+    
+    progress.complete(step.id);
+  }
+  
+  onFinished();
+}
+
+// Boot a pod serving every survey in podState; the first one is opened in the portal
+async function bootPodAndServeSurvey(podState) {
+  const surveyData = podState.surveys[0];
+  const consolePanel = document.getElementById('console-panel');
+  
+  // Save the definitions straight away so a refresh during boot can resume them
+  await saveSurveyState(podState).catch(error => console.warn('Failed to save survey state:', error));
+  
+  // Show progress, keeping the creator around for adding surveys later
+  document.getElementById('app-container').style.display = 'none';
+  consolePanel.style.display = 'block';
+  const progress = createBootProgress(document.getElementById('boot-status'), BOOT_STEPS);
+  
+  let portalOpened = null;
+  let url = null;
+  let manifest = null;
+  // Set when npm install ran and its node_modules should be cached once the portal is up
+  let uncachedKey = null;
+  
+  const actions = {
+    // Each part is skipped once done, so a retry after a later failure doesn't repeat it
+    async boot() {
+      if (!pod) {
+        console.log('Booting BrowserPod...');
+        pod = await BrowserPod.boot({apiKey: import.meta.env.VITE_BP_APIKEY});
+        console.log('BrowserPod booted successfully');
+        
+        // Wait a moment for WASM to fully initialize
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      
+      if (!terminal) {
+        terminal = await pod.createDefaultTerminal(document.querySelector('#console'));
+      }
+      
+      if (!portalOpened) {
+        portalOpened = new Promise(resolve => pod.onPortal(({ url: openedUrl }) => {
+          console.log('Portal ready at:', openedUrl);
+          resolve(openedUrl);
+        }));
+      }
+    },
     
-    // Create a Terminal for output using existing element
-    const terminal = await pod.createDefaultTerminal(document.querySelector('#console'));
+    // Everything under public/project, as listed by the generated manifest
+    async copy() {
+      manifest = await loadProjectManifest();
+      await createDirectories(pod, manifest.directories);
+      await copyProjectFiles(pod, manifest.files, (copied, total) => {
+        progress.update('copy', `${copied}/${total} files`);
+      });
+      
+      // Create survey data file BEFORE npm install
+      await writeSurveyData(podState);
+      console.log('Files copied');
+    },
     
-    // Create directory for project files
-    console.log('Creating /project directory...');
-    await pod.createDirectory('/project');
-    console.log('Directory created');
+    // Reuse node_modules from an earlier boot with the same package.json and lockfile
+    async install() {
+      const key = dependencyCacheKey(manifest);
+      if (key && await restoreCachedModules(key)) {
+        progress.update('install', 'restored from cache');
+        return;
+      }
+      
+      console.log('Installing npm dependencies...');
+      await pod.run('npm', ['install'], {echo: false, terminal: terminal, cwd: '/project'});
+      console.log('Dependencies installed');
+      uncachedKey = key;
+    },
     
-    // Create public subdirectory
-    console.log('Creating /project/public directory...');
-    try {
-      await pod.createDirectory('/project/public');
-      console.log('Public directory created');
-    } catch (e) {
-      console.log('Public directory note:', e.message);
-    }
+    async start() {
+      startServer();
+      url = await portalOpened;
+    },
     
-    // Copy project files
-    console.log('Copying files...');
-    await copyFile(pod, 'project/main.js');
-    await copyFile(pod, 'project/package.json');
+    // The portal can open before Express answers, so wait for a real response
+    portal: () => waitForHealthy(url, SERVER_READY_TIMEOUT_MS)
+  };
+  
+  await runBootSteps(progress, actions, 0, () => {
+    portalUrl = url;
+    indexToken = podState.indexToken;
     
-    // Copy public frontend files
-    await copyFile(pod, 'project/public/app.html');
-    await copyFile(pod, 'project/public/survey.html');
-    await copyFile(pod, 'project/public/admin.html');
-    await copyFile(pod, 'project/public/results.html');
-    console.log('Files copied');
+    // Navigate to admin page with token
+    const adminUrl = `${url}/admin/${surveyData.surveyId}?token=${surveyData.adminToken}`;
     
-    // Create survey data file BEFORE npm install
-    console.log('Creating survey data file...');
-    const surveyDataJson = JSON.stringify(surveyData);
-    const surveyDataContent = `module.exports = ${surveyDataJson};`;
-    const surveyDataFile = await pod.createFile('/project/survey-data.js', 'binary');
-    const encoder = new TextEncoder();
-    const encodedData = encoder.encode(surveyDataContent);
-    const buffer = encodedData.buffer.slice(encodedData.byteOffset, encodedData.byteOffset + encodedData.byteLength);
-    await surveyDataFile.write(buffer);
-    await surveyDataFile.close();
-    console.log('Survey data file created');
+    // Hide progress, show portal and the pod toolbar; the terminal moves behind its toolbar button
+    progress.clear();
+    consolePanel.style.display = 'none';
+    consolePanel.classList.add('docked');
+    document.getElementById('pod-toolbar').style.display = 'flex';
+    showPortal(adminUrl);
     
-    // Install dependencies
-    console.log('Installing npm dependencies...');
-    await pod.run('npm', ['install'], {echo: false, terminal: terminal, cwd: '/project'});
-    console.log('Dependencies installed');
+    // Keep the browser copy of the surveys and their responses up to date
+    clearInterval(persistInterval);
+    persistPodState();
+    persistInterval = setInterval(persistPodState, PERSIST_INTERVAL_MS);
+    monitorServer();
     
-    // Start the server
-    console.log('Starting Express server...');
-    pod.run('node', ['main.js'], {echo: false, terminal: terminal, cwd: '/project'});
-    console.log('Server started');
+    // Packing runs alongside the server rather than holding up this boot
+    if (uncachedKey) cacheInstalledModules(uncachedKey);
     
-    // Wait for portal and show it with admin page
-    pod.onPortal(({ url, port }) => {
-      console.log('Portal ready at:', url);
-      
-      // Navigate to admin page with token
-      const adminUrl = `${url}/admin/${surveyData.surveyId}?token=${surveyData.adminToken}`;
-      
-      // Hide creator, show portal
-      document.getElementById('app-container').style.display = 'none';
-      document.getElementById('portal-container').style.display = 'block';
-      document.getElementById('portal').src = adminUrl;
-      
-      // Display success message with QR code
-      setTimeout(() => {
-        showSurveySuccess({
-          surveyId: surveyData.surveyId,
-          adminToken: surveyData.adminToken,
-          clientUrl: `${url}/survey/${surveyData.surveyId}`,
-          adminUrl: adminUrl,
-          portalUrl: url
-        });
-      }, 2000);
+    showSurveySuccess({
+      surveyId: surveyData.surveyId,
+      adminToken: surveyData.adminToken,
+      clientUrl: `${url}/survey/${surveyData.surveyId}`,
+      adminUrl: adminUrl,
+      portalUrl: url
     });
+  });
+}
+
+// ===== SERVER HEALTH =====
+
+function monitorServer() {
+  if (stopHealthMonitor) stopHealthMonitor();
+  stopHealthMonitor = startHealthMonitor(portalUrl, {
+    onDown: () => showHealthBanner('down'),
+    onUp: hideHealthBanner
+  });
+}
+
+function showHealthBanner(state, detail = '') {
+  const banner = document.getElementById('health-banner');
+  const messages = {
+    down: '⚠️ The survey server has stopped responding. New responses can\'t be collected until it\'s back.',
+    restarting: '🔄 Restarting the survey server from the last saved state...',
+    failed: `❌ Restart failed (${detail}). Reload the page to resume from the last save.`
+  };
+  banner.querySelector('.health-message').textContent = messages[state];
+  banner.querySelector('#restartServerBtn').disabled = state === 'restarting';
+  banner.querySelector('#reloadPageBtn').style.display = state === 'failed' ? '' : 'none';
+  banner.style.display = 'flex';
+}
+
+function hideHealthBanner() {
+  document.getElementById('health-banner').style.display = 'none';
+}
+
+// Run the server again, seeded from the last state saved to IndexedDB (up to PERSIST_INTERVAL_MS old)
+async function restartServer() {
+  if (stopHealthMonitor) stopHealthMonitor();
+  showHealthBanner('restarting');
+  
+  try {
+    const saved = await loadSurveyState();
+    if (!saved) throw new Error('no saved survey state');
+    
+    await stopServer();
+    await writeSurveyData(normalizePodState(saved));
+    startServer();
+    await waitForHealthy(portalUrl, SERVER_READY_TIMEOUT_MS);
     
+    hideHealthBanner();
+    showPortal(document.getElementById('portal').src);
+    persistPodState();
+    monitorServer();
   } catch (error) {
-    console.error('Failed to boot survey environment:', error);
-    const appContainer = document.getElementById('app-container');
-    appContainer.innerHTML = `<div style="padding: 40px; color: red;"><p>❌ Error: ${error.message}</p><p style="font-size: 0.9rem; color: #666;">Check browser console for details.</p><button onclick="location.reload()" style="padding: 10px 20px; margin-top: 20px;">Try Again</button></div>`;
+    console.error('Failed to restart the survey server:', error);
+    showHealthBanner('failed', error.message);
+    monitorServer();
   }
 }
+
+function toggleTerminal() {
+  const consolePanel = document.getElementById('console-panel');
+  const hidden = consolePanel.style.display === 'none';
+  consolePanel.style.display = hidden ? 'block' : 'none';
+  consolePanel.open = hidden;
+}
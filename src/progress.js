@@ -0,0 +1,95 @@
+// Step-by-step progress list shown in #boot-status while the pod boots
+const ICONS = { pending: '○', active: '⏳', done: '✓', failed: '✕' };
+
+export function createBootProgress(container, steps) {
+  container.innerHTML = `
+    <div class="boot-progress">
+      <h2>🚀 Starting survey environment</h2>
+      <ol class="boot-steps">
+        ${steps.map(step => `
+          <li class="boot-step pending" data-step="${step.id}">
+            <span class="boot-step-icon">${ICONS.pending}</span>
+            <span class="boot-step-label">${step.label}</span>
+            <span class="boot-step-detail"></span>
+          </li>
+        `).join('')}
+      </ol>
+      <p class="boot-error" hidden></p>
+      <div class="boot-actions" hidden></div>
+    </div>
+  `;
+  
+  const startedAt = {};
+  // Retry notes shown next to a step's running time
+  const notes = {};
+  let ticker = null;
+  
+  const item = id => container.querySelector(`[data-step="${id}"]`);
+  
+  function setState(id, state, detail = '') {
+    const el = item(id);
+    el.className = `boot-step ${state}`;
+    el.querySelector('.boot-step-icon').textContent = ICONS[state];
+    el.querySelector('.boot-step-detail').textContent = detail;
+  }
+  
+  // Long steps (npm install on a cold cache) show how long they've been running
+  function elapsed(id) {
+    return [notes[id], `${Math.round((Date.now() - startedAt[id]) / 1000)}s`].filter(Boolean).join(' · ');
+  }
+  
+  return {
+    start(id) {
+      startedAt[id] = Date.now();
+      container.querySelector('.boot-error').hidden = true;
+      container.querySelector('.boot-actions').hidden = true;
+      notes[id] = '';
+      setState(id, 'active');
+      clearInterval(ticker);
+      ticker = setInterval(() => {
+        item(id).querySelector('.boot-step-detail').textContent = elapsed(id);
+      }, 1000);
+    },
+    
+    // Progress within a step, e.g. files copied so far
+    update(id, note) {
+      notes[id] = note;
+      item(id).querySelector('.boot-step-detail').textContent = elapsed(id);
+    },
+    
+    retrying(id, attempt, error) {
+      notes[id] = `${error.message}, retrying (attempt ${attempt})`;
+      setState(id, 'active', elapsed(id));
+    },
+    
+    complete(id) {
+      clearInterval(ticker);
+      setState(id, 'done', [notes[id], `${((Date.now() - startedAt[id]) / 1000).toFixed(1)}s`].filter(Boolean).join(' · '));
+    },
+    
+    // Shows the error with one button per action, e.g. [{ label: 'Retry', onClick }]
+    fail(id, error, actions) {
+      clearInterval(ticker);
+      setState(id, 'failed');
+      
+      const message = container.querySelector('.boot-error');
+      message.textContent = `❌ ${error.message}`;
+      message.hidden = false;
+      
+      const buttons = container.querySelector('.boot-actions');
+      buttons.innerHTML = '';
+      actions.forEach(({ label, onClick }) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        buttons.appendChild(button);
+      });
+      buttons.hidden = false;
+    },
+    
+    clear() {
+      clearInterval(ticker);
+      container.innerHTML = '';
+    }
+  };
+}
@@ -0,0 +1,63 @@
+// Must match SNAPSHOT_VERSION in project/main.js
+export const SNAPSHOT_VERSION = 1;
+
+// Validate an exported survey snapshot and turn it into { surveyData, warnings } for the pod,
+// where warnings list what the restored survey lost
+export function parseSurveySnapshot(text) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Snapshot is not valid JSON');
+  }
+  
+  if (!snapshot || snapshot.format !== 'saysomething-survey' || !snapshot.survey) {
+    throw new Error('File is not a SaySomething survey snapshot');
+  }
+  
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${snapshot.version} is newer than this app supports`);
+  }
+  
+  const { survey } = snapshot;
+  if (!survey.title || !Array.isArray(survey.questions) || survey.questions.length === 0) {
+    throw new Error('Snapshot is missing the survey title or questions');
+  }
+  
+  const settings = { ...survey.settings };
+  const warnings = [];
+  
+  // Snapshots from before invite codes were exported have none, and an invite-only survey would refuse every response
+  if (settings.requireInviteCode && !Array.isArray(survey.inviteCodes)) {
+    settings.requireInviteCode = false;
+    warnings.push('The snapshot has no invite codes, so the survey no longer requires one; generate new codes and turn the setting back on from the dashboard');
+  }
+  
+  const omitted = survey.omitted || {};
+  if (omitted.shareTokens > 0) {
+    warnings.push(`${omitted.shareTokens} share link(s) weren't exported; create new ones from the dashboard`);
+  }
+  if (omitted.webhooks > 0) {
+    warnings.push(`${omitted.webhooks} webhook(s) weren't exported; add them again from the dashboard`);
+  }
+  
+  const surveyData = {
+    surveyId: survey.id,
+    title: survey.title,
+    description: survey.description || '',
+    settings,
+    status: survey.status,
+    opensAt: survey.opensAt,
+    closesAt: survey.closesAt,
+    maxResponses: survey.maxResponses,
+    questions: survey.questions,
+    version: survey.version,
+    schemaHistory: Array.isArray(survey.schemaHistory) ? survey.schemaHistory : [],
+    responses: Array.isArray(survey.responses) ? survey.responses : [],
+    inviteCodes: Array.isArray(survey.inviteCodes) ? survey.inviteCodes : [],
+    createdAt: survey.createdAt,
+    updatedAt: survey.updatedAt || undefined
+  };
+  
+  return { surveyData, warnings };
+}
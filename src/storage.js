@@ -0,0 +1,44 @@
+// IndexedDB persistence for the surveys served by the current pod, so a
+// refresh of the host page can reboot it with the same data
+const DB_NAME = 'saysomething';
+const DB_VERSION = 1;
+const STORE_NAME = 'surveyState';
+const LAST_SURVEY_KEY = 'last';
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = callback(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export async function saveSurveyState(state) {
+  await withStore('readwrite', store => store.put({ ...state, savedAt: new Date().toISOString() }, LAST_SURVEY_KEY));
+}
+
+export async function loadSurveyState() {
+  return withStore('readonly', store => store.get(LAST_SURVEY_KEY));
+}
+
+export async function clearSurveyState() {
+  await withStore('readwrite', store => store.delete(LAST_SURVEY_KEY));
+}
@@ -1,17 +1,40 @@
-export async function copyFile(pod, path) {
+// Number of files fetched and written into the pod at once
+const COPY_CONCURRENCY = 4;
+
+// Generated from public/project by the project-manifest plugin in vite.config.js
+export async function loadProjectManifest() {
+  const resp = await fetch('/project-manifest.json', { cache: 'no-store' });
+  if (!resp.ok) {
+    throw new Error(`Fetch failed: ${resp.status} ${resp.statusText}`);
+  }
+  return resp.json();
+}
+
+async function sha256(buf) {
+  const digest = await crypto.subtle.digest('SHA-256', buf);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Copies public/<path> to /<path> in the pod; `expected` ({ size, sha256 }) rejects a truncated or stale fetch
+export async function copyFile(pod, path, expected = null) {
   try {
     console.log(`Fetching ${path}...`);
-    const resp = await fetch(path);
+    const resp = await fetch(path, { cache: 'no-store' });
     if (!resp.ok) {
       throw new Error(`Fetch failed: ${resp.status} ${resp.statusText}`);
     }
-    console.log(`Creating file /${path}...`);
-    const f = await pod.createFile("/"+path, "binary");
-    console.log(`Reading buffer...`);
     const buf = await resp.arrayBuffer();
-    console.log(`Writing buffer (${buf.byteLength} bytes)...`);
+    if (expected) {
+      if (buf.byteLength !== expected.size) {
+        throw new Error(`Integrity check failed: expected ${expected.size} bytes, got ${buf.byteLength}`);
+      }
+      if (await sha256(buf) !== expected.sha256) {
+        throw new Error('Integrity check failed: SHA-256 mismatch');
+      }
+    }
+    console.log(`Writing /${path} (${buf.byteLength} bytes)...`);
+    const f = await pod.createFile("/"+path, "binary");
     await f.write(buf);
-    console.log(`Closing file...`);
     await f.close();
     console.log(`✓ Copied ${path}`);
   } catch (err) {
@@ -19,3 +42,47 @@ export async function copyFile(pod, path) {
     throw err;
   }
 }
+
+// Creates the manifest's directories parents first; ones left by an earlier attempt are fine
+export async function createDirectories(pod, directories) {
+  const ordered = [...directories].sort((a, b) => a.split('/').length - b.split('/').length);
+  for (const dir of ordered) {
+    try {
+      await pod.createDirectory(`/${dir}`);
+    } catch (e) {
+      console.log(`Directory note for /${dir}:`, e.message);
+    }
+  }
+}
+
+// Copies every manifest file, COPY_CONCURRENCY at a time; onProgress(copied, total) after each one
+export async function copyProjectFiles(pod, files, onProgress = () => {}) {
+  const queue = [...files];
+  let copied = 0;
+  
+  const worker = async () => {
+    while (queue.length > 0) {
+      const file = queue.shift();
+      try {
+        await copyFile(pod, file.path, file);
+      } catch (err) {
+        // Stop the other workers picking up more files
+        queue.length = 0;
+        throw err;
+      }
+      onProgress(++copied, files.length);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(COPY_CONCURRENCY, files.length) }, worker));
+}
+
+// Rejects with `message` if the promise hasn't settled after `ms`; the work itself keeps running,
+// so callers that retry should wait on the same promise rather than start the work again
+export function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
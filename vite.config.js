@@ -1,7 +1,69 @@
 import { defineConfig } from 'vite';
+import { createHash } from 'node:crypto';
+import { readdirSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { join, relative, sep } from 'node:path';
+
+const PUBLIC_DIR = fileURLToPath(new URL('./public', import.meta.url));
+// Everything under public/project is provisioned into the pod
+const PROJECT_DIR = join(PUBLIC_DIR, 'project');
+const MANIFEST_FILE = 'project-manifest.json';
+
+// Paths relative to public/, with forward slashes, e.g. project/public/app.html
+function manifestPath(path) {
+  return relative(PUBLIC_DIR, path).split(sep).join('/');
+}
+
+// Directories (parents first) and files with their size and SHA-256, skipping dotfiles and node_modules
+function buildProjectManifest() {
+  const directories = [];
+  const files = [];
+
+  const walk = dir => {
+    directories.push(manifestPath(dir));
+    const entries = readdirSync(dir, { withFileTypes: true })
+      .filter(entry => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(path);
+      } else if (entry.isFile()) {
+        const data = readFileSync(path);
+        files.push({
+          path: manifestPath(path),
+          size: data.length,
+          sha256: createHash('sha256').update(data).digest('hex')
+        });
+      }
+    }
+  };
+
+  walk(PROJECT_DIR);
+  return { directories, files };
+}
+
+// Serves the manifest in dev (rebuilt per request, so new files are picked up) and emits it on build
+function projectManifest() {
+  return {
+    name: 'project-manifest',
+    configureServer(server) {
+      server.middlewares.use(`/${MANIFEST_FILE}`, (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Cache-Control', 'no-store');
+        res.end(JSON.stringify(buildProjectManifest()));
+      });
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName: MANIFEST_FILE, source: JSON.stringify(buildProjectManifest()) });
+    }
+  };
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
+  plugins: [projectManifest()],
   server: {
     headers: {
       'Cross-Origin-Embedder-Policy': 'require-corp',